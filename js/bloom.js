@@ -0,0 +1,258 @@
+/* ============================================
+   idfkit Landing Page — Bloom
+
+   Post-processing for the hero. The scene is
+   drawn into a render target; a soft threshold
+   picks out its bright lines and particles,
+   separable Gaussian passes blur them at a
+   fraction of the resolution, and a composite
+   pass adds the glow back with ACES tone
+   mapping, plus a faint film grain and
+   vignette on the high path.
+
+   Paths, by level:
+     high  multisampled scene, two blur levels
+           (½ and ¼ size), 9 taps, grain and
+           vignette
+     low   one ¼-size level, 5 taps; for weak
+           GPUs and the lowest quality tier
+     off   straight to the canvas
+
+   The canvas keeps its transparency: glow adds
+   light, and alpha, over whatever the page
+   shows behind.
+   ============================================ */
+
+import { THREE } from './three.js';
+
+const LEVELS = {
+  high: { levels: [2, 4], taps: 9, msaa: true, grain: true },
+  low: { levels: [4], taps: 5, msaa: false, grain: false },
+};
+
+const VERTEX = `
+  varying vec2 vUv;
+
+  void main() {
+    vUv = uv;
+    gl_Position = vec4(position.xy, 0.0, 1.0);
+  }
+`;
+
+const BRIGHT = `
+  uniform sampler2D tInput;
+  uniform float uThreshold;
+  uniform float uKnee;
+  varying vec2 vUv;
+
+  void main() {
+    vec3 c = texture2D(tInput, vUv).rgb;
+    float peak = max(c.r, max(c.g, c.b));
+    gl_FragColor = vec4(c * smoothstep(uThreshold, uThreshold + uKnee, peak), 1.0);
+  }
+`;
+
+// One direction of the blur; TAPS is odd, weights run from the centre
+// tap outwards
+const BLUR = `
+  uniform sampler2D tInput;
+  uniform vec2 uStep;
+  uniform float uWeights[TAPS / 2 + 1];
+  varying vec2 vUv;
+
+  void main() {
+    vec3 sum = texture2D(tInput, vUv).rgb * uWeights[0];
+    for (int i = 1; i <= TAPS / 2; i++) {
+      vec2 offset = uStep * float(i);
+      sum += (texture2D(tInput, vUv + offset).rgb + texture2D(tInput, vUv - offset).rgb) * uWeights[i];
+    }
+    gl_FragColor = vec4(sum, 1.0);
+  }
+`;
+
+const COMPOSITE = `
+  uniform sampler2D tScene;
+  uniform sampler2D tBloom0;
+  uniform sampler2D tBloom1;
+  uniform float uStrength;
+  uniform float uExposure;
+  uniform float uGrain;
+  uniform float uVignette;
+  uniform float uTime;
+  varying vec2 vUv;
+
+  // Narkowicz's fit of the ACES filmic curve
+  vec3 aces(vec3 x) {
+    return clamp(x * (2.51 * x + 0.03) / (x * (2.43 * x + 0.59) + 0.14), 0.0, 1.0);
+  }
+
+  float hash(vec2 p) {
+    return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+  }
+
+  void main() {
+    vec4 base = texture2D(tScene, vUv);
+    vec3 glow = texture2D(tBloom0, vUv).rgb;
+    #if LEVELS > 1
+      glow = glow * 0.6 + texture2D(tBloom1, vUv).rgb * 0.8;
+    #endif
+    vec3 c = aces((base.rgb + glow * uStrength) * uExposure);
+
+    // Glow over empty canvas is light on the page behind
+    float a = max(base.a, max(c.r, max(c.g, c.b)));
+    c *= 1.0 - uVignette * smoothstep(0.35, 0.85, distance(vUv, vec2(0.5)));
+    c += (hash(gl_FragCoord.xy + fract(uTime) * 97.0) - 0.5) * uGrain * a;
+    gl_FragColor = vec4(clamp(c, 0.0, a), a);
+  }
+`;
+
+// Normalized Gaussian weights from the centre tap outwards
+function gaussian(taps) {
+  const r = (taps - 1) / 2, sigma = r / 2 + 0.5;
+  const w = [];
+  for (let i = 0; i <= r; i++) w.push(Math.exp(-i * i / (2 * sigma * sigma)));
+  const sum = w.reduce((s, x, i) => s + (i ? 2 * x : x), 0);
+  return w.map((x) => x / sum);
+}
+
+function pass(fragmentShader, uniforms, defines = {}) {
+  return new THREE.ShaderMaterial({
+    uniforms, defines, vertexShader: VERTEX, fragmentShader,
+    depthTest: false, depthWrite: false, blending: THREE.NoBlending,
+  });
+}
+
+// `threshold` and `knee` shape the bright pass, `strength` scales the
+// glow and `exposure` feeds the tone curve; strength can change
+// between frames
+export function createBloom(renderer, {
+  threshold = 0.5, knee = 0.3, strength = 0.8, exposure = 1, grain = 0.03, vignette = 0.25,
+} = {}) {
+  const webgl2 = renderer.capabilities.isWebGL2;
+  // Half-float targets keep the sum of additive lines above 1 for the
+  // tone curve; WebGL 1 stays on 8 bits
+  const type = webgl2 && renderer.extensions.has('EXT_color_buffer_float')
+    ? THREE.HalfFloatType : THREE.UnsignedByteType;
+
+  const quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2));
+  quad.frustumCulled = false;
+  const screen = new THREE.Scene();
+  screen.add(quad);
+  const flat = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+
+  const bright = pass(BRIGHT, {
+    tInput: { value: null }, uThreshold: { value: threshold }, uKnee: { value: knee },
+  });
+  let blur = null, composite = null;
+  let path = null, sceneTarget = null, targets = [];
+  const size = { w: 1, h: 1 };
+
+  function draw(material, target) {
+    quad.material = material;
+    renderer.setRenderTarget(target);
+    renderer.render(screen, flat);
+  }
+
+  function target(w, h, options) {
+    return new THREE.WebGLRenderTarget(Math.max(1, w), Math.max(1, h), Object.assign({
+      minFilter: THREE.LinearFilter, magFilter: THREE.LinearFilter, format: THREE.RGBAFormat, type,
+    }, options));
+  }
+
+  function freeTargets() {
+    if (sceneTarget) sceneTarget.dispose();
+    targets.forEach((t) => { t.a.dispose(); t.b.dispose(); });
+    sceneTarget = null;
+    targets = [];
+  }
+
+  // Targets follow the drawing buffer; blur levels are fractions of
+  // the CSS size so the glow spreads as far at any pixel ratio
+  function allocate() {
+    freeTargets();
+    if (!path) return;
+    const dpr = renderer.getPixelRatio();
+    const w = Math.round(size.w * dpr), h = Math.round(size.h * dpr);
+    sceneTarget = path.msaa && webgl2
+      ? new THREE.WebGLMultisampleRenderTarget(w, h, { format: THREE.RGBAFormat, type })
+      : target(w, h);
+    targets = path.levels.map((div) => {
+      const lw = Math.round(size.w / div), lh = Math.round(size.h / div);
+      return { a: target(lw, lh, { depthBuffer: false }), b: target(lw, lh, { depthBuffer: false }), w: lw, h: lh };
+    });
+  }
+
+  const bloom = {
+    level: 'off',
+    strength,
+
+    // 'high', 'low' or 'off'; WebGL 1 never goes above low
+    setLevel(level) {
+      const next = level === 'high' && !webgl2 ? 'low' : level;
+      if (next === bloom.level) return;
+      bloom.level = next;
+      path = LEVELS[next] || null;
+      [blur, composite].forEach((m) => { if (m) m.dispose(); });
+      blur = composite = null;
+      if (path) {
+        blur = pass(BLUR, {
+          tInput: { value: null }, uStep: { value: new THREE.Vector2() },
+          uWeights: { value: gaussian(path.taps) },
+        }, { TAPS: path.taps });
+        composite = pass(COMPOSITE, {
+          tScene: { value: null }, tBloom0: { value: null }, tBloom1: { value: null },
+          uStrength: { value: strength }, uExposure: { value: exposure },
+          uGrain: { value: path.grain ? grain : 0 }, uVignette: { value: path.grain ? vignette : 0 },
+          uTime: { value: 0 },
+        }, { LEVELS: path.levels.length });
+      }
+      allocate();
+    },
+
+    // CSS size of the canvas; call again after the pixel ratio changes
+    setSize(w, h) {
+      size.w = w;
+      size.h = h;
+      allocate();
+    },
+
+    render(scene, camera, time = 0) {
+      if (!path) {
+        renderer.render(scene, camera);
+        return;
+      }
+      renderer.setRenderTarget(sceneTarget);
+      renderer.render(scene, camera);
+
+      // Each level: bright pass down to its size, then across and down
+      bright.uniforms.tInput.value = sceneTarget.texture;
+      targets.forEach((t) => {
+        draw(bright, t.a);
+        blur.uniforms.tInput.value = t.a.texture;
+        blur.uniforms.uStep.value.set(1 / t.w, 0);
+        draw(blur, t.b);
+        blur.uniforms.tInput.value = t.b.texture;
+        blur.uniforms.uStep.value.set(0, 1 / t.h);
+        draw(blur, t.a);
+      });
+
+      const u = composite.uniforms;
+      u.tScene.value = sceneTarget.texture;
+      u.tBloom0.value = targets[0].a.texture;
+      u.tBloom1.value = targets[targets.length - 1].a.texture;
+      u.uStrength.value = bloom.strength;
+      u.uTime.value = time;
+      draw(composite, null);
+    },
+
+    // Frees the GPU side; rendering again re-creates it
+    dispose() {
+      if (sceneTarget) sceneTarget.dispose();
+      targets.forEach((t) => { t.a.dispose(); t.b.dispose(); });
+      [bright, blur, composite].forEach((m) => { if (m) m.dispose(); });
+      quad.geometry.dispose();
+    },
+  };
+
+  return bloom;
+}
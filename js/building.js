@@ -0,0 +1,485 @@
+/* ============================================
+   idfkit Landing Page — Building Geometry
+
+   The building description the hero's scene
+   builders draw from, whether it is the default
+   shoebox, a generated office or residential
+   block, or a model loaded from a file:
+
+     {
+       name,
+       zones:    [{ name }],
+       surfaces: [{ name, type, zone, boundary, vertices }],
+       windows:  [{ name, surface, zone, vertices }],
+     }
+
+   Vertices are [x, y, z] in scene axes: +x east,
+   +y up, +z south. `type` is wall | roof | floor
+   | ceiling; `boundary` is the lower-cased
+   EnergyPlus outside boundary condition.
+   ============================================ */
+
+// The box the hero camera is framed around
+export const FRAME = { w: 4.5, h: 2.8, d: 3.2 };
+
+// Boundary conditions that face another zone rather than the outside
+const INTERIOR = ['surface', 'zone', 'space'];
+
+export function isInterior(surface) {
+  return INTERIOR.includes(surface.boundary);
+}
+
+// ── EnergyPlus coordinates ────────────────────────────
+// EnergyPlus is z-up with +y north; the scene is y-up with +z south
+export function fromEnergyPlusAxes(v) {
+  return [v[0], v[2], -v[1]];
+}
+
+// Rotate clockwise (plan view) by `deg`, as EnergyPlus does for
+// relative north angles
+function rotatePlan(v, deg) {
+  if (!deg) return v;
+  const c = Math.cos(deg * Math.PI / 180), s = Math.sin(deg * Math.PI / 180);
+  return [v[0] * c + v[1] * s, -v[0] * s + v[1] * c, v[2]];
+}
+
+// Zone-relative vertex to world coordinates. `zone` carries the Zone
+// object's origin and relative north; `site.north` is the Building
+// north axis. Both only apply under a Relative coordinate system.
+export function placeZoneVertex(v, zone, site) {
+  if (!site.relative) return v;
+  let p = v;
+  if (zone) {
+    p = rotatePlan(p, zone.north);
+    p = [p[0] + zone.origin[0], p[1] + zone.origin[1], p[2] + zone.origin[2]];
+  }
+  return rotatePlan(p, site.north);
+}
+
+// ── Default model ─────────────────────────────────────
+// Three zones side by side, split by two partitions at ±35% of the
+// half-width
+export function shoeboxBuilding() {
+  const { w, h, d } = FRAME;
+  const hw = w / 2, hh = h / 2, hd = d / 2;
+  const xs = [-hw, -hw * 0.35, hw * 0.35, hw];
+  const names = ['West', 'Core', 'East'];
+
+  const zones = names.map((name) => ({ name }));
+  const surfaces = [];
+  const add = (name, type, zone, boundary, vertices) =>
+    surfaces.push({ name, type, zone, boundary, vertices });
+
+  names.forEach((zone, i) => {
+    const x0 = xs[i], x1 = xs[i + 1];
+    add(zone + ' Floor', 'floor', zone, 'ground',
+      [[x0, -hh, -hd], [x1, -hh, -hd], [x1, -hh, hd], [x0, -hh, hd]]);
+    add(zone + ' Roof', 'roof', zone, 'outdoors',
+      [[x0, hh, hd], [x1, hh, hd], [x1, hh, -hd], [x0, hh, -hd]]);
+    add(zone + ' South Wall', 'wall', zone, 'outdoors',
+      [[x0, -hh, hd], [x1, -hh, hd], [x1, hh, hd], [x0, hh, hd]]);
+    add(zone + ' North Wall', 'wall', zone, 'outdoors',
+      [[x1, -hh, -hd], [x0, -hh, -hd], [x0, hh, -hd], [x1, hh, -hd]]);
+  });
+  add('West Wall', 'wall', 'West', 'outdoors',
+    [[-hw, -hh, -hd], [-hw, -hh, hd], [-hw, hh, hd], [-hw, hh, -hd]]);
+  add('East Wall', 'wall', 'East', 'outdoors',
+    [[hw, -hh, hd], [hw, -hh, -hd], [hw, hh, -hd], [hw, hh, hd]]);
+
+  [1, 2].forEach((i) => {
+    const x = xs[i];
+    add(names[i - 1] + ' Partition', 'wall', names[i - 1], 'surface',
+      [[x, -hh, hd], [x, -hh, -hd], [x, hh, -hd], [x, hh, hd]]);
+  });
+
+  return { name: 'Shoebox', zones, surfaces, windows: [] };
+}
+
+// ── Generated models ──────────────────────────────────
+// A rectangular block in metres: `floors` storeys of `floorHeight`,
+// `width` (east–west) by `depth`, each floor split into `zonesPerFloor`
+// zones along its width. Every exterior wall gets glazing at `wwr`, the
+// window-to-wall ratio of the way the wall faces (a number for all
+// four), as one ribbon or as `windowWidth`-wide punched windows.
+// `orientation` turns the block clockwise in plan, in degrees.
+const GENERATED = {
+  name: 'Generated',
+  floors: 3,
+  width: 30,
+  depth: 15,
+  floorHeight: 3.5,
+  zonesPerFloor: 3,
+  wwr: 0.3,
+  windows: 'ribbon',
+  windowWidth: 1.5,
+  orientation: 0,
+};
+
+export const ARCHETYPES = {
+  office: {
+    name: 'Office', floors: 4, width: 40, depth: 20, floorHeight: 3.8, zonesPerFloor: 4,
+    wwr: { south: 0.45, east: 0.3, north: 0.35, west: 0.3 }, windows: 'ribbon',
+  },
+  residential: {
+    name: 'Residential', floors: 3, width: 18, depth: 10, floorHeight: 2.9, zonesPerFloor: 2,
+    wwr: { south: 0.25, east: 0.12, north: 0.15, west: 0.12 }, windows: 'punched', windowWidth: 1.4,
+  },
+};
+
+// Accepted ranges of the generator's numeric parameters, [min, max];
+// beyond them the model gets too big to draw (zone edges grow with
+// zones × surfaces) or stops making sense
+export const LIMITS = {
+  floors: [1, 30],
+  zonesPerFloor: [1, 12],
+  width: [3, 300],
+  depth: [3, 300],
+  floorHeight: [2, 10],
+  wwr: [0, 0.9],
+  windowWidth: [0.3, 10],
+  orientation: [-360, 360],
+};
+
+const FACINGS = ['north', 'east', 'south', 'west'];
+
+// An archetype by name, with any generator parameters overridden
+export function archetypeBuilding(name, overrides = {}) {
+  if (!ARCHETYPES[name]) throw new Error('Unknown building archetype: ' + name);
+  return generateBuilding(Object.assign({}, ARCHETYPES[name], overrides));
+}
+
+export function generateBuilding(params = {}) {
+  const p = Object.assign({}, GENERATED, params);
+  const ratios = typeof p.wwr === 'number' ? [p.wwr] : FACINGS.map((f) => p.wwr[f] || 0);
+  Object.keys(LIMITS).forEach((key) => {
+    const [min, max] = LIMITS[key];
+    const values = key === 'wwr' ? ratios : [p[key]];
+    if (!values.every((v) => v >= min && v <= max)) {
+      throw new Error('Building ' + key + ' must be between ' + min + ' and ' + max);
+    }
+  });
+  const floors = Math.round(p.floors);
+  const count = Math.round(p.zonesPerFloor);
+  const fh = p.floorHeight, hw = p.width / 2, hd = p.depth / 2;
+  const xs = Array.from({ length: count + 1 }, (_, i) => -hw + p.width * i / count);
+
+  const c = Math.cos(p.orientation * Math.PI / 180), s = Math.sin(p.orientation * Math.PI / 180);
+  const turn = ([x, y, z]) => [x * c - z * s, y, x * s + z * c];
+  // Compass direction of an outward plan normal once turned
+  const facing = ([x, z]) => {
+    const [tx, , tz] = turn([x, 0, z]);
+    const az = Math.atan2(tx, -tz) * 180 / Math.PI + 360;
+    return FACINGS[Math.round(az / 90) % 4];
+  };
+  const ratio = (face) => Math.min(0.9, Math.max(0,
+    typeof p.wwr === 'number' ? p.wwr : (p.wwr[face] || 0)));
+
+  const zones = [], surfaces = [], windows = [];
+  const add = (name, type, zone, boundary, vertices) =>
+    surfaces.push({ name, type, zone, boundary, vertices: vertices.map(turn) });
+
+  // A wall from plan point [x, z] a to b, outside on the right walking
+  // a→b with north up, and its windows; named for the way it faces
+  function wall(zone, a, b, y0) {
+    const face = facing([a[1] - b[1], b[0] - a[0]]);
+    const name = zone + ' ' + face[0].toUpperCase() + face.slice(1) + ' Wall';
+    add(name, 'wall', zone, 'outdoors',
+      [[a[0], y0, a[1]], [b[0], y0, b[1]], [b[0], y0 + fh, b[1]], [a[0], y0 + fh, a[1]]]);
+
+    const wwr = ratio(face);
+    if (!wwr) return;
+    const len = Math.hypot(b[0] - a[0], b[1] - a[1]);
+    const n = p.windows === 'punched' ? Math.max(1, Math.floor(len / (p.windowWidth * 2))) : 1;
+    const bay = len / n, area = wwr * len * fh / n;
+    // Ribbons run across 90% of the wall; punched windows keep their
+    // width and grow tall up to 80% of the storey, then widen
+    let ww = p.windows === 'punched' ? Math.min(p.windowWidth, bay * 0.9) : bay * 0.9;
+    let wh = area / ww;
+    if (wh > fh * 0.8) {
+      wh = fh * 0.8;
+      ww = Math.min(bay * 0.95, area / wh);
+    }
+    const sill = y0 + Math.min(Math.max(fh * 0.55 - wh / 2, fh * 0.05), fh * 0.95 - wh);
+    const at = (u, y) => [a[0] + (b[0] - a[0]) * u / len, y, a[1] + (b[1] - a[1]) * u / len];
+    for (let i = 0; i < n; i++) {
+      const u0 = bay * (i + 0.5) - ww / 2, u1 = u0 + ww;
+      windows.push({
+        name: name + ' Window' + (n > 1 ? ' ' + (i + 1) : ''),
+        surface: name,
+        zone,
+        vertices: [at(u0, sill), at(u1, sill), at(u1, sill + wh), at(u0, sill + wh)].map(turn),
+      });
+    }
+  }
+
+  for (let f = 0; f < floors; f++) {
+    const y0 = f * fh, y1 = y0 + fh;
+    for (let i = 0; i < count; i++) {
+      const zone = 'Floor ' + (f + 1) + ' Zone ' + (i + 1);
+      const x0 = xs[i], x1 = xs[i + 1];
+      zones.push({ name: zone });
+
+      add(zone + ' Floor', 'floor', zone, f === 0 ? 'ground' : 'surface',
+        [[x0, y0, -hd], [x1, y0, -hd], [x1, y0, hd], [x0, y0, hd]]);
+      add(zone + (f === floors - 1 ? ' Roof' : ' Ceiling'), f === floors - 1 ? 'roof' : 'ceiling',
+        zone, f === floors - 1 ? 'outdoors' : 'surface',
+        [[x0, y1, hd], [x1, y1, hd], [x1, y1, -hd], [x0, y1, -hd]]);
+      wall(zone, [x0, hd], [x1, hd], y0);
+      wall(zone, [x1, -hd], [x0, -hd], y0);
+      if (i === 0) wall(zone, [-hw, -hd], [-hw, hd], y0);
+      if (i === count - 1) wall(zone, [hw, hd], [hw, -hd], y0);
+      if (i > 0) {
+        add(zone + ' Partition', 'wall', zone, 'surface',
+          [[x0, y0, hd], [x0, y0, -hd], [x0, y1, -hd], [x0, y1, hd]]);
+      }
+    }
+  }
+
+  return { name: p.name, zones, surfaces, windows };
+}
+
+// ── Bounds & normalization ────────────────────────────
+export function buildingBounds(b, filter) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  b.surfaces.forEach((s) => {
+    if (filter && !filter(s)) return;
+    s.vertices.forEach((v) => {
+      for (let k = 0; k < 3; k++) {
+        if (v[k] < min[k]) min[k] = v[k];
+        if (v[k] > max[k]) max[k] = v[k];
+      }
+    });
+  });
+  return { min, max };
+}
+
+// Exterior surface area by envelope element, for weighting the
+// thermal model's walls, roof and ground slab
+export function envelopeAreas(b) {
+  const areas = { wall: 0, roof: 0, ground: 0 };
+  b.surfaces.forEach((s) => {
+    if (isInterior(s)) return;
+    const k = s.type === 'wall' ? 'wall' : s.type === 'floor' ? 'ground' : 'roof';
+    areas[k] += polygonArea(s.vertices);
+  });
+  return areas;
+}
+
+// Uniformly scale and move a model so it fits the hero frame: centred
+// in plan, standing on the frame's floor
+export function normalizeBuilding(b, frame = FRAME) {
+  const { min, max } = buildingBounds(b);
+  if (!isFinite(min[0])) throw new Error('Model has no surface geometry');
+
+  const size = [max[0] - min[0], max[1] - min[1], max[2] - min[2]];
+  const s = Math.min(
+    frame.w / (size[0] || 1),
+    frame.h / (size[1] || 1),
+    frame.d / (size[2] || 1)
+  );
+  const cx = (min[0] + max[0]) / 2, cz = (min[2] + max[2]) / 2;
+  const map = (v) => [(v[0] - cx) * s, (v[1] - min[1]) * s - frame.h / 2, (v[2] - cz) * s];
+
+  return {
+    name: b.name,
+    zones: b.zones,
+    surfaces: b.surfaces.map((x) => Object.assign({}, x, { vertices: x.vertices.map(map) })),
+    windows: b.windows.map((x) => Object.assign({}, x, { vertices: x.vertices.map(map) })),
+    scale: s,
+  };
+}
+
+// ── Edges ─────────────────────────────────────────────
+// Edges come out as { a, b, spans }: the end points, plus which
+// surfaces each stretch of the edge bounds, as fractions along a→b
+// ({ from, to, surfaces: [name] }). Edges merged across a split façade
+// have one span per original piece.
+
+// Keys are rounded to a thousandth of a unit so vertices that differ
+// only by export noise still meet
+function vkey(v) {
+  return Math.round(v[0] * 1000) + ',' + Math.round(v[1] * 1000) + ',' + Math.round(v[2] * 1000);
+}
+
+// Newell's method; tolerant of slightly non-planar polygons
+function polygonNormal(vs) {
+  let x = 0, y = 0, z = 0;
+  for (let i = 0; i < vs.length; i++) {
+    const a = vs[i], b = vs[(i + 1) % vs.length];
+    x += (a[1] - b[1]) * (a[2] + b[2]);
+    y += (a[2] - b[2]) * (a[0] + b[0]);
+    z += (a[0] - b[0]) * (a[1] + b[1]);
+  }
+  const len = Math.hypot(x, y, z) || 1;
+  return [x / len, y / len, z / len];
+}
+
+function polygonArea(vs) {
+  let x = 0, y = 0, z = 0;
+  for (let i = 0; i < vs.length; i++) {
+    const a = vs[i], b = vs[(i + 1) % vs.length];
+    x += a[1] * b[2] - a[2] * b[1];
+    y += a[2] * b[0] - a[0] * b[2];
+    z += a[0] * b[1] - a[1] * b[0];
+  }
+  return Math.hypot(x, y, z) / 2;
+}
+
+// Interzone surfaces are usually defined once from each side
+function uniqueSurfaces(surfaces) {
+  const seen = new Set();
+  return surfaces.filter((s) => {
+    const key = s.vertices.map(vkey).sort().join('|');
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Feature edges of a set of polygons: outlines and creases, skipping
+// seams between coplanar neighbours (e.g. a façade split per zone)
+function featureEdges(surfaces) {
+  const edges = new Map();
+  uniqueSurfaces(surfaces).forEach((s) => {
+    const n = polygonNormal(s.vertices);
+    s.vertices.forEach((a, i) => {
+      const b = s.vertices[(i + 1) % s.vertices.length];
+      const ka = vkey(a), kb = vkey(b);
+      if (ka === kb) return;
+      const key = ka < kb ? ka + '/' + kb : kb + '/' + ka;
+      const e = edges.get(key);
+      if (e) {
+        e.normals.push(n);
+        e.parts[0].surfaces.push(s.name);
+      } else {
+        edges.set(key, { key, a, b, normals: [n], parts: [{ a, b, surfaces: [s.name] }] });
+      }
+    });
+  });
+
+  const out = [];
+  edges.forEach((e) => {
+    const coplanar = e.normals.length > 1 && e.normals.every((n) =>
+      Math.abs(n[0] * e.normals[0][0] + n[1] * e.normals[0][1] + n[2] * e.normals[0][2]) > 0.999);
+    if (!coplanar) out.push(e);
+  });
+  return mergeCollinear(out);
+}
+
+// Join edges that continue each other in a straight line through a
+// vertex nothing else touches, so a façade split into zones still
+// draws its outline as single lines
+function mergeCollinear(edges) {
+  const at = new Map();
+  const link = (k, e) => { if (!at.has(k)) at.set(k, []); at.get(k).push(e); };
+  edges.forEach((e) => { link(vkey(e.a), e); link(vkey(e.b), e); });
+
+  const dir = (e) => {
+    const d = [e.b[0] - e.a[0], e.b[1] - e.a[1], e.b[2] - e.a[2]];
+    const len = Math.hypot(d[0], d[1], d[2]) || 1;
+    return [d[0] / len, d[1] / len, d[2] / len];
+  };
+
+  const alive = new Set(edges);
+  at.forEach((list, k) => {
+    if (list.length !== 2) return;
+    const [e1, e2] = list;
+    if (e1 === e2 || !alive.has(e1) || !alive.has(e2)) return;
+    const d1 = dir(e1), d2 = dir(e2);
+    if (Math.abs(d1[0] * d2[0] + d1[1] * d2[1] + d1[2] * d2[2]) < 0.9999) return;
+
+    // Outer ends of the two edges become the merged edge
+    const a = vkey(e1.a) === k ? e1.b : e1.a;
+    const b = vkey(e2.a) === k ? e2.b : e2.a;
+    const ka = vkey(a), kb = vkey(b);
+    const merged = {
+      key: ka < kb ? ka + '/' + kb : kb + '/' + ka,
+      a, b,
+      normals: e1.normals,
+      parts: e1.parts.concat(e2.parts),
+    };
+    alive.delete(e1);
+    alive.delete(e2);
+    alive.add(merged);
+    [[ka, e1], [kb, e2]].forEach(([key, old]) => {
+      const l = at.get(key);
+      l[l.indexOf(old)] = merged;
+    });
+  });
+  return Array.from(alive);
+}
+
+function edgeRecord(e) {
+  const d = [e.b[0] - e.a[0], e.b[1] - e.a[1], e.b[2] - e.a[2]];
+  const len2 = d[0] * d[0] + d[1] * d[1] + d[2] * d[2] || 1;
+  const along = (p) => ((p[0] - e.a[0]) * d[0] + (p[1] - e.a[1]) * d[1] + (p[2] - e.a[2]) * d[2]) / len2;
+  return {
+    a: e.a,
+    b: e.b,
+    spans: e.parts.map((p) => {
+      const t0 = along(p.a), t1 = along(p.b);
+      return { from: Math.min(t0, t1), to: Math.max(t0, t1), surfaces: p.surfaces };
+    }),
+  };
+}
+
+// Outer shell of the building
+export function envelopeEdges(b) {
+  return featureEdges(b.surfaces.filter((s) => !isInterior(s))).map(edgeRecord);
+}
+
+// True when segment a→b lies along one of `edges` (within a thousandth)
+function coveredBy(a, b, edges) {
+  const onSegment = (p, e) => {
+    const d = [e.b[0] - e.a[0], e.b[1] - e.a[1], e.b[2] - e.a[2]];
+    const len2 = d[0] * d[0] + d[1] * d[1] + d[2] * d[2];
+    if (!len2) return false;
+    const t = ((p[0] - e.a[0]) * d[0] + (p[1] - e.a[1]) * d[1] + (p[2] - e.a[2]) * d[2]) / len2;
+    if (t < -1e-6 || t > 1 + 1e-6) return false;
+    return Math.hypot(e.a[0] + d[0] * t - p[0], e.a[1] + d[1] * t - p[1], e.a[2] + d[2] * t - p[2]) < 1e-3;
+  };
+  return edges.some((e) => onSegment(a, e) && onSegment(b, e));
+}
+
+// Wireframe of each zone's own boundary, skipping lines the envelope
+// already draws and lines a neighbouring zone has already claimed
+export function zoneEdges(b) {
+  const shell = featureEdges(b.surfaces.filter((s) => !isInterior(s)));
+  const claimed = new Set();
+  return b.zones.map((zone) => {
+    const own = featureEdges(b.surfaces.filter((s) => s.zone === zone.name))
+      .filter((e) => !claimed.has(e.key) && !coveredBy(e.a, e.b, shell));
+    own.forEach((e) => claimed.add(e.key));
+    return { zone: zone.name, edges: own.map(edgeRecord) };
+  });
+}
+
+// Axis-aligned extents of every zone with geometry
+export function zoneBounds(b) {
+  return b.zones
+    .map((zone) => Object.assign({ zone: zone.name },
+      buildingBounds(b, (s) => s.zone === zone.name)))
+    .filter((z) => isFinite(z.min[0]));
+}
+
+// Centre and outward normal of every window
+export function windowCenters(b) {
+  return b.windows.map((w) => {
+    const center = [0, 0, 0];
+    w.vertices.forEach((v) => { for (let k = 0; k < 3; k++) center[k] += v[k] / w.vertices.length; });
+    return { name: w.name, center, normal: polygonNormal(w.vertices) };
+  });
+}
+
+export function windowEdges(b) {
+  const out = [];
+  b.windows.forEach((w) => {
+    w.vertices.forEach((a, i) => out.push({
+      a,
+      b: w.vertices[(i + 1) % w.vertices.length],
+      spans: [{ from: 0, to: 1, surfaces: [w.name] }],
+    }));
+  });
+  return out;
+}
@@ -0,0 +1,156 @@
+/* ============================================
+   idfkit Landing Page — Project Catalog
+
+   The ecosystem's projects, from one manifest
+   (projects.json), drawn everywhere the page
+   lists them:
+
+     [data-catalog="ecosystem"]  eco cards, for
+                                 projects with a repo
+     [data-catalog="beta"]       beta cards, for
+                                 projects with an
+                                 issues URL
+     [data-catalog="footer"]     footer links
+     [data-catalog="structured-data"]
+                                 the JSON-LD @graph
+
+   index.html keeps the same markup written out,
+   so the page reads the same without scripts or
+   when the manifest can't load; rendering
+   replaces it.
+   ============================================ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const ARROW = [['path', { d: 'M7 17L17 7M17 7H7M17 7v10' }]];
+const ISSUE = [['circle', { cx: '12', cy: '12', r: '10' }], ['path', { d: 'M12 8v4M12 16h.01' }]];
+
+// The manifest at `url`, checked for the parts the renderer needs
+export function loadCatalog(url = 'projects.json') {
+  return fetch(url).then((res) => {
+    if (!res.ok) throw new Error('Could not load ' + url + ' (' + res.status + ')');
+    return res.json();
+  }).then((manifest) => {
+    if (!manifest || !manifest.site || !Array.isArray(manifest.projects)) {
+      throw new Error('Not a project manifest: ' + url);
+    }
+    manifest.projects.forEach((p) => {
+      if (!p.name || !(p.repo || p.app)) throw new Error('Project needs a name and a repo or app URL');
+    });
+    return manifest;
+  });
+}
+
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+// Stroked 24×24 icon from [tag, attributes] shapes
+function icon(shapes, size, strokeWidth) {
+  const svg = document.createElementNS(SVG_NS, 'svg');
+  [['width', size], ['height', size], ['viewBox', '0 0 24 24'], ['fill', 'none'],
+    ['stroke', 'currentColor'], ['stroke-width', strokeWidth]].forEach(([k, v]) => svg.setAttribute(k, v));
+  shapes.forEach(([tag, attrs]) => {
+    const shape = document.createElementNS(SVG_NS, tag);
+    Object.keys(attrs).forEach((k) => shape.setAttribute(k, attrs[k]));
+    svg.appendChild(shape);
+  });
+  return svg;
+}
+
+function external(href, className, text) {
+  const a = el('a', className);
+  a.href = href;
+  a.target = '_blank';
+  a.rel = 'noopener';
+  if (text !== undefined) a.append(text);
+  return a;
+}
+
+function ecoCard(p) {
+  const card = el('div', 'eco-card');
+  card.dataset.animate = '';
+  const iconBox = el('div', 'eco-card-icon');
+  iconBox.appendChild(icon(p.icon || [], 32, 1.5));
+  const features = el('ul', 'eco-card-features');
+  (p.features || []).forEach((f) => features.appendChild(el('li', '', f)));
+  // Projects without an install command show where to find them
+  const code = el('div', 'eco-card-code');
+  code.appendChild(el('code', '', p.install || new URL(p.docs || p.repo).host));
+
+  card.append(el('div', 'eco-card-badge', p.badge), iconBox, el('div', 'eco-card-label', p.label),
+    el('h3', 'eco-card-title', p.name), el('p', 'eco-card-desc', p.description), features, code);
+
+  const link = (href, className, text) => {
+    const a = external(href, className, text);
+    a.appendChild(icon(ARROW, 14, 2));
+    return a;
+  };
+  if (p.docs) {
+    const links = el('div', 'eco-card-links');
+    links.append(link(p.docs, 'eco-card-link', 'Browse Docs'),
+      link(p.repo, 'eco-card-link eco-card-link-secondary', 'GitHub'));
+    card.appendChild(links);
+  } else {
+    card.appendChild(link(p.repo, 'eco-card-link', 'View on GitHub'));
+  }
+  return card;
+}
+
+function betaCard(p) {
+  const card = el('div', 'beta-card');
+  card.dataset.animate = '';
+  const iconBox = el('div', 'beta-card-icon');
+  iconBox.appendChild(icon(p.icon || [], 24, 1.5));
+  const report = external(p.issues, 'btn btn-secondary btn-beta');
+  report.append(icon(ISSUE, 16, 2), 'Report an Issue');
+  card.append(iconBox, el('h3', 'beta-card-title', p.name), el('p', 'beta-card-desc', p.summary), report);
+  return card;
+}
+
+// schema.org graph: the site, then each project; apps are
+// WebApplications at their URL, the rest source code in their repo
+export function structuredData({ site, projects }) {
+  const graph = [{ '@type': 'WebSite', name: site.name, url: site.url, description: site.description }];
+  projects.forEach((p) => {
+    const schema = p.schema || {};
+    const node = { '@type': schema['@type'] || (p.app ? 'WebApplication' : 'SoftwareSourceCode'), name: p.name };
+    if (p.app) {
+      Object.assign(node, { url: p.app, description: p.description }, schema);
+    } else {
+      Object.assign(node, { description: p.description, url: p.repo, codeRepository: p.repo }, schema,
+        { license: site.license, author: site.author });
+    }
+    graph.push(node);
+  });
+  return { '@context': 'https://schema.org', '@graph': graph };
+}
+
+// Fill every [data-catalog] target under `root` from the manifest;
+// returns the cards not yet revealed, for the page's scroll reveal
+export function renderCatalog(manifest, root = document) {
+  const target = (name) => root.querySelector('[data-catalog="' + name + '"]');
+  // The written-out cards may already have scrolled in; the ones that
+  // replace them stay revealed rather than fading in again
+  const fill = (parent, nodes) => {
+    if (!parent) return [];
+    const old = parent.children;
+    nodes.forEach((n, i) => {
+      if (old[i] && old[i].classList.contains('visible')) n.classList.add('visible');
+    });
+    parent.replaceChildren(...nodes);
+    return nodes;
+  };
+  const { projects } = manifest;
+
+  const cards = fill(target('ecosystem'), projects.filter((p) => p.repo).map(ecoCard))
+    .concat(fill(target('beta'), projects.filter((p) => p.issues).map(betaCard)));
+  fill(target('footer'), projects.map((p) => external(p.repo || p.app, '', p.name)));
+
+  const ld = target('structured-data');
+  if (ld) ld.textContent = '\n' + JSON.stringify(structuredData(manifest), null, 2) + '\n';
+  return cards.filter((card) => !card.classList.contains('visible'));
+}
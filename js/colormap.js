@@ -0,0 +1,84 @@
+/* ============================================
+   idfkit Landing Page — Colormaps
+
+   Perceptually uniform scientific colormaps for
+   coloring the hero model by results, plus the
+   colorbar legend drawn beside it. Stops are
+   evenly spaced sRGB samples of the originals.
+   ============================================ */
+
+export const COLORMAPS = {
+  // Sequential, for flows in one direction (e.g. solar gain)
+  viridis: [
+    '#440154', '#472c7a', '#3b518b', '#2c718e', '#21908d',
+    '#27ad81', '#5cc863', '#aadc32', '#fde725',
+  ],
+  // Diverging about zero, for conduction in or out (Moreland cool–warm)
+  coolwarm: [
+    '#3b4cc0', '#6282ea', '#8db0fe', '#b8d0f9', '#dddddd',
+    '#f5c4ac', '#f4987a', '#de604d', '#b40426',
+  ],
+};
+
+function rgb(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [(n >> 16) / 255, ((n >> 8) & 255) / 255, (n & 255) / 255];
+}
+
+const RGB = {};
+Object.keys(COLORMAPS).forEach((k) => { RGB[k] = COLORMAPS[k].map(rgb); });
+
+// Color at t ∈ [0, 1] as { r, g, b } in 0–1; writes into `out` if given
+export function sampleColormap(name, t, out) {
+  const stops = RGB[name];
+  const x = Math.max(0, Math.min(1, t)) * (stops.length - 1);
+  const i = Math.min(stops.length - 2, Math.floor(x));
+  const f = x - i;
+  const a = stops[i], b = stops[i + 1];
+  const c = out || { r: 0, g: 0, b: 0 };
+  c.r = a[0] + (b[0] - a[0]) * f;
+  c.g = a[1] + (b[1] - a[1]) * f;
+  c.b = a[2] + (b[2] - a[2]) * f;
+  return c;
+}
+
+// Horizontal colorbar with a title, end ticks and a zero tick for
+// diverging scales, sized to the canvas's CSS box
+export function drawColorbar(canvas, name, { min, max, title, units }) {
+  const dpr = window.devicePixelRatio || 1;
+  const w = canvas.clientWidth || 200, h = canvas.clientHeight || 40;
+  canvas.width = Math.round(w * dpr);
+  canvas.height = Math.round(h * dpr);
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return;
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, w, h);
+
+  const font = getComputedStyle(canvas).fontFamily || 'monospace';
+  ctx.font = '9px ' + font;
+  ctx.textBaseline = 'top';
+  ctx.fillStyle = 'rgba(140, 160, 190, 0.7)';
+  ctx.textAlign = 'left';
+  ctx.fillText(title, 0, 0, w);
+
+  const barY = 16, barH = 8;
+  const grad = ctx.createLinearGradient(0, 0, w, 0);
+  COLORMAPS[name].forEach((hex, i, all) => grad.addColorStop(i / (all.length - 1), hex));
+  ctx.fillStyle = grad;
+  ctx.fillRect(0, barY, w, barH);
+
+  const fmt = (v) => (Math.abs(v) >= 100 ? v.toFixed(0) : v.toFixed(1));
+  const ticks = [[0, fmt(min), 'left'], [1, fmt(max) + ' ' + units, 'right']];
+  if (min < 0 && max > 0) ticks.push([-min / (max - min), '0', 'center']);
+  ctx.fillStyle = 'rgba(180, 210, 255, 0.9)';
+  ctx.strokeStyle = 'rgba(180, 210, 255, 0.5)';
+  ticks.forEach(([t, label, align]) => {
+    const x = Math.round(t * (w - 1)) + 0.5;
+    ctx.beginPath();
+    ctx.moveTo(x, barY + barH);
+    ctx.lineTo(x, barY + barH + 3);
+    ctx.stroke();
+    ctx.textAlign = align;
+    ctx.fillText(label, align === 'left' ? 0 : align === 'right' ? w : x, barY + barH + 5);
+  });
+}
@@ -0,0 +1,115 @@
+/* ============================================
+   idfkit Landing Page — epJSON Geometry
+
+   The epJSON counterpart of idf.js: reads zones,
+   detailed heat transfer surfaces and
+   fenestration from EnergyPlus's JSON input
+   format into the building description from
+   building.js.
+   ============================================ */
+
+import { fromEnergyPlusAxes, placeZoneVertex } from './building.js';
+
+// Detailed surface object types and the surface type each implies
+const SURFACE_TYPES = {
+  'BuildingSurface:Detailed': null,
+  'Wall:Detailed': 'wall',
+  'RoofCeiling:Detailed': 'roof',
+  'Floor:Detailed': 'floor',
+};
+
+function firstObject(doc, type) {
+  const objs = doc[type];
+  const name = objs && Object.keys(objs)[0];
+  return name ? { name, fields: objs[name] } : null;
+}
+
+function num(v) {
+  const n = parseFloat(v);
+  return isFinite(n) ? n : 0;
+}
+
+// Surfaces list vertices as an extensible array; windows spell them
+// out as vertex_1_x_coordinate … vertex_4_z_coordinate
+function surfaceVertices(fields) {
+  return (fields.vertices || []).map((v) =>
+    [v.vertex_x_coordinate, v.vertex_y_coordinate, v.vertex_z_coordinate]);
+}
+
+function windowVertices(fields) {
+  const out = [];
+  for (let i = 1; i <= 4; i++) {
+    const x = fields['vertex_' + i + '_x_coordinate'];
+    if (x === undefined) break;
+    out.push([x, fields['vertex_' + i + '_y_coordinate'], fields['vertex_' + i + '_z_coordinate']]);
+  }
+  return out;
+}
+
+const valid = (v) => v.every((c) => typeof c === 'number' && isFinite(c));
+
+export function epjsonBuilding(text) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (e) {
+    throw new Error('Not an epJSON file: ' + e.message);
+  }
+  if (!doc || typeof doc !== 'object') throw new Error('Not an epJSON file');
+
+  const building = firstObject(doc, 'Building');
+  const rules = firstObject(doc, 'GlobalGeometryRules');
+  const coords = ((rules && rules.fields.coordinate_system) || 'Relative').toLowerCase();
+
+  // epJSON object names are unique case-insensitively, like IDF
+  const zoneMap = new Map();
+  Object.entries(doc.Zone || {}).forEach(([name, f]) => {
+    zoneMap.set(name.toLowerCase(), {
+      name,
+      north: num(f.direction_of_relative_north),
+      origin: [num(f.x_origin), num(f.y_origin), num(f.z_origin)],
+    });
+  });
+
+  const site = {
+    north: building ? num(building.fields.north_axis) : 0,
+    relative: coords === 'relative',
+  };
+  const place = (zone) => (v) => fromEnergyPlusAxes(placeZoneVertex(v, zone, site));
+
+  const surfaces = [];
+  const surfaceZone = new Map();
+  Object.keys(SURFACE_TYPES).forEach((type) => {
+    Object.entries(doc[type] || {}).forEach(([name, f]) => {
+      const zone = zoneMap.get((f.zone_name || '').toLowerCase());
+      const vertices = surfaceVertices(f).filter(valid).map(place(zone));
+      if (vertices.length < 3) return;
+      surfaces.push({
+        name,
+        type: (SURFACE_TYPES[type] || f.surface_type || 'wall').toLowerCase(),
+        zone: zone ? zone.name : f.zone_name,
+        boundary: (f.outside_boundary_condition || 'outdoors').toLowerCase(),
+        vertices,
+      });
+      surfaceZone.set(name.toLowerCase(), zone);
+    });
+  });
+  if (!surfaces.length) throw new Error('No detailed surfaces found in epJSON');
+
+  const windows = [];
+  Object.entries(doc['FenestrationSurface:Detailed'] || {}).forEach(([name, f]) => {
+    const host = f.building_surface_name;
+    const zone = surfaceZone.get((host || '').toLowerCase());
+    const vertices = windowVertices(f).filter(valid).map(place(zone));
+    if (vertices.length >= 3) {
+      windows.push({ name, surface: host, zone: zone ? zone.name : undefined, vertices });
+    }
+  });
+
+  return {
+    name: building ? building.name : 'epJSON model',
+    zones: Array.from(zoneMap.values()).map((z) => ({ name: z.name })),
+    surfaces,
+    windows,
+  };
+}
@@ -0,0 +1,123 @@
+/* ============================================
+   idfkit Landing Page — EPW Weather Files
+
+   Minimal client-side reader for EnergyPlus
+   weather (EPW) files: the LOCATION header plus
+   the hourly series the hero replays. Nothing
+   leaves the browser.
+   ============================================ */
+
+// Data row columns (0-based), per the EnergyPlus Auxiliary Programs guide
+const COL = {
+  month: 1, day: 2, hour: 3,
+  dryBulb: 6, dewPoint: 7, relHum: 8,
+  ghi: 13, dni: 14, dhi: 15,
+  windDir: 20, windSpeed: 21,
+};
+
+// Values EPW uses to flag a missing reading
+const MISSING = {
+  dryBulb: 99.9, dewPoint: 99.9, relHum: 999,
+  ghi: 9999, dni: 9999, dhi: 9999,
+  windDir: 999, windSpeed: 999,
+};
+
+const SERIES = Object.keys(MISSING);
+
+// A non-leap reference year for turning EPW timestamps into instants
+const REF_YEAR = 2023;
+const HOUR_MS = 3600000;
+const YEAR_MS = 365 * 24 * HOUR_MS;
+
+export function parseEPW(text) {
+  const lines = text.split(/\r?\n/);
+  const loc = lines[0] ? lines[0].split(',') : [];
+  if (loc[0] !== 'LOCATION' || loc.length < 10) {
+    throw new Error('Not an EPW file: missing LOCATION header');
+  }
+
+  const location = {
+    city: loc[1].trim(),
+    state: loc[2].trim(),
+    country: loc[3].trim(),
+    source: loc[4].trim(),
+    wmo: loc[5].trim(),
+    latitude: parseFloat(loc[6]),
+    longitude: parseFloat(loc[7]),
+    timeZone: parseFloat(loc[8]),
+    elevation: parseFloat(loc[9]),
+  };
+  if (!isFinite(location.latitude) || !isFinite(location.longitude)) {
+    throw new Error('EPW LOCATION has no valid coordinates');
+  }
+
+  // Data begins after the DATA PERIODS header line
+  let start = lines.findIndex((l) => l.startsWith('DATA PERIODS'));
+  start = start < 0 ? 8 : start + 1;
+
+  const rows = [];
+  for (let i = start; i < lines.length; i++) {
+    if (!lines[i]) continue;
+    const f = lines[i].split(',');
+    if (f.length <= COL.windSpeed) continue;
+    rows.push(f);
+  }
+  if (rows.length < 24) throw new Error('EPW file has no hourly data');
+
+  const n = rows.length;
+  const hours = {
+    month: new Uint8Array(n),
+    day: new Uint8Array(n),
+    hour: new Uint8Array(n),
+  };
+  SERIES.forEach((k) => { hours[k] = new Float32Array(n); });
+
+  const last = {};
+  rows.forEach((f, i) => {
+    hours.month[i] = parseInt(f[COL.month], 10);
+    hours.day[i] = parseInt(f[COL.day], 10);
+    hours.hour[i] = parseInt(f[COL.hour], 10);
+    SERIES.forEach((k) => {
+      let v = parseFloat(f[COL[k]]);
+      // Hold the previous reading across gaps
+      if (!isFinite(v) || v >= MISSING[k]) v = last[k] !== undefined ? last[k] : 0;
+      hours[k][i] = last[k] = v;
+    });
+  });
+
+  // 1 where a record runs straight on into the next hour, the last
+  // wrapping to the first. Files with several data periods jump
+  // between them, and epwSample() holds across the jump.
+  const epw = { location, hours, count: n, joined: new Uint8Array(n) };
+  for (let i = 0; i < n; i++) {
+    const step = ((epwDate(epw, (i + 1) % n) - epwDate(epw, i)) % YEAR_MS + YEAR_MS) % YEAR_MS;
+    epw.joined[i] = step === HOUR_MS ? 1 : 0;
+  }
+  return epw;
+}
+
+// Mid-interval instant of an hourly record. EPW hour h covers
+// (h-1):00–h:00 local standard time.
+export function epwDate(epw, index) {
+  const i = Math.max(0, Math.min(epw.count - 1, index));
+  const { month, day, hour } = epw.hours;
+  return new Date(Date.UTC(REF_YEAR, month[i] - 1, day[i], hour[i] - 1, 30)
+    - epw.location.timeZone * HOUR_MS);
+}
+
+// Linear interpolation of one series at a fractional record index,
+// wrapping from the last hour of the year back to the first; the
+// record's own reading where the next one isn't the next hour
+export function epwSample(epw, key, t) {
+  const s = epw.hours[key];
+  const n = epw.count;
+  const i0 = ((Math.floor(t) % n) + n) % n;
+  const i1 = (i0 + 1) % n;
+  const f = epw.joined[i0] ? t - Math.floor(t) : 0;
+  return s[i0] + (s[i1] - s[i0]) * f;
+}
+
+export function epwLabel(location) {
+  return [location.city, location.state, location.country]
+    .filter((p) => p && p !== '-').join(', ');
+}
@@ -0,0 +1,249 @@
+/* ============================================
+   idfkit Landing Page — 2D Fallback
+
+   The hero for browsers without WebGL (locked-
+   down desktops, VDI sessions): the envelope,
+   heat/cold strings and radiation rings seen
+   through the hero's camera and stroked onto a
+   2D canvas. Lines fade in from their delays as
+   in js/lines.js, the model sways slowly and
+   pulses of light run along the strings.
+   Frames are capped at FPS to stay light on
+   software rendering.
+   ============================================ */
+
+import { THREE } from './three.js';
+import { motion } from './motion.js';
+import { hostSize, watchHostSize } from './host.js';
+
+const FPS = 24;
+const STILL_AT = 6;  // s; still frames show every line faded in
+
+function rgba(c, a) {
+  return 'rgba(' + Math.round(c.r * 255) + ', ' + Math.round(c.g * 255) + ', '
+    + Math.round(c.b * 255) + ', ' + a.toFixed(3) + ')';
+}
+
+// Ease-out cubic over 0.9 s from the line's delay, as the line shader
+function fadeIn(l, elapsed) {
+  const p = Math.max(0, Math.min(1, (elapsed - (l.delay || 0)) / 0.9));
+  return (1 - Math.pow(1 - p, 3)) * (l.target === undefined ? 1 : l.target);
+}
+
+// `layers` are [{ lines, additive }] in draw order, lines described as
+// for js/lines.js; `background`, a hex number, fills behind them and
+// `pixelRatio` fixes the device pixel ratio. Returns the hero's
+// controller, or null without a 2D context.
+export function createFallbackScene(canvas, {
+  layers, camera, interactive = true, autoResize = true, background, pixelRatio,
+}) {
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return null;
+
+  const listeners = new AbortController();
+  const { signal } = listeners;
+  const world = new THREE.Object3D();
+  const v = new THREE.Vector3();
+  const view = { width: 0, height: 0, scroll: 0 };
+  const running = {
+    frame: 0, still: 0, paused: false,
+    onscreen: true, visible: true, motion: !motion.reduced,
+  };
+  let clock = 0, prevTs = null, drawnAt = -Infinity;
+
+  // Screen-space points, reused from frame to frame
+  layers.forEach(({ lines }) => lines.forEach((l) => {
+    l.screen = new Float32Array(l.points.length * 2);
+  }));
+
+  // Project a line's points; returns its length on screen in px
+  function project(l) {
+    let len = 0;
+    l.points.forEach((p, j) => {
+      v.copy(p).applyMatrix4(world.matrixWorld).project(camera);
+      const x = (v.x + 1) / 2 * view.width;
+      const y = (1 - v.y) / 2 * view.height;
+      if (j > 0) len += Math.hypot(x - l.screen[j * 2 - 2], y - l.screen[j * 2 - 1]);
+      l.screen[j * 2] = x;
+      l.screen[j * 2 + 1] = y;
+    });
+    return len;
+  }
+
+  function stroke(l) {
+    ctx.beginPath();
+    for (let j = 0; j < l.points.length; j++) {
+      if (j === 0) ctx.moveTo(l.screen[0], l.screen[1]);
+      else ctx.lineTo(l.screen[j * 2], l.screen[j * 2 + 1]);
+    }
+    ctx.stroke();
+  }
+
+  function draw(elapsed, moving = running.motion) {
+    world.rotation.set(
+      moving ? Math.sin(elapsed * 0.06) * 0.06 - 0.08 : -0.08,
+      moving ? Math.sin(elapsed * 0.08) * 0.35 : 0.3,
+      0
+    );
+    world.position.y = -view.scroll * 0.0015;
+    world.updateMatrixWorld();
+
+    const scrollFade = Math.max(0, 1 - view.scroll / (window.innerHeight * 0.55));
+    ctx.clearRect(0, 0, view.width, view.height);
+    if (background !== undefined) {
+      ctx.fillStyle = '#' + background.toString(16).padStart(6, '0');
+      ctx.fillRect(0, 0, view.width, view.height);
+    }
+    ctx.lineWidth = 1;
+
+    layers.forEach(({ lines, additive }) => {
+      ctx.globalCompositeOperation = additive ? 'lighter' : 'source-over';
+      lines.forEach((l) => {
+        const alpha = fadeIn(l, elapsed) * scrollFade;
+        if (alpha < 0.005) return;
+        const len = project(l);
+        const n = l.points.length;
+        const c0 = l.colors ? l.colors[0] : l.color;
+        const c1 = l.colors ? l.colors[n - 1] : l.color;
+
+        const grad = ctx.createLinearGradient(
+          l.screen[0], l.screen[1], l.screen[n * 2 - 2], l.screen[n * 2 - 1]);
+        grad.addColorStop(0, rgba(c0, alpha));
+        grad.addColorStop(1, rgba(c1, alpha));
+        ctx.strokeStyle = grad;
+        stroke(l);
+
+        // A short bright dash travelling along pulsing strings
+        if (l.speed && moving && len > 0) {
+          const dash = len * 0.12;
+          ctx.setLineDash([dash, len]);
+          ctx.lineDashOffset = -((elapsed * l.speed * 0.4 + (l.phase || 0)) % 1) * (len + dash);
+          ctx.strokeStyle = rgba(c1, Math.min(1, alpha * 2));
+          stroke(l);
+          ctx.setLineDash([]);
+        }
+      });
+    });
+    ctx.globalCompositeOperation = 'source-over';
+  }
+
+  // ── Loop & pausing ─────────────────────────────────
+  // Same rules as the WebGL hero: stopped offscreen, in hidden tabs and
+  // by the controller; a single still frame with reduced motion
+  function loop(ts) {
+    running.frame = requestAnimationFrame(loop);
+    if (prevTs !== null) clock += ts - prevTs;
+    prevTs = ts;
+    if (clock - drawnAt < 1000 / FPS) return;
+    drawnAt = clock;
+    draw(clock / 1000);
+  }
+
+  function redraw() {
+    if (running.frame || running.still || !running.onscreen || running.paused) return;
+    running.still = requestAnimationFrame(() => {
+      running.still = 0;
+      clock = Math.max(clock, STILL_AT * 1000);
+      draw(clock / 1000);
+    });
+  }
+
+  function updateRunning() {
+    const run = running.onscreen && running.visible && running.motion && !running.paused;
+    if (run && !running.frame) {
+      prevTs = null;
+      running.frame = requestAnimationFrame(loop);
+    } else if (!run && running.frame) {
+      cancelAnimationFrame(running.frame);
+      running.frame = 0;
+    }
+    if (!running.motion) redraw();
+  }
+
+  const offMotion = motion.onChange((reduced) => {
+    running.motion = !reduced;
+    updateRunning();
+  });
+
+  const onscreen = 'IntersectionObserver' in window
+    ? new IntersectionObserver((entries) => {
+      running.onscreen = entries[entries.length - 1].isIntersecting;
+      updateRunning();
+    }) : null;
+  if (onscreen) onscreen.observe(canvas);
+
+  document.addEventListener('visibilitychange', () => {
+    running.visible = document.visibilityState !== 'hidden';
+    updateRunning();
+  }, { signal });
+
+  if (interactive) {
+    window.addEventListener('scroll', () => {
+      view.scroll = window.scrollY;
+      redraw();
+    }, { passive: true, signal });
+  }
+
+  function resize(w = hostSize(canvas).width, h = hostSize(canvas).height) {
+    const dpr = pixelRatio || Math.min(window.devicePixelRatio || 1, 2);
+    view.width = w;
+    view.height = h;
+    canvas.width = Math.round(w * dpr);
+    canvas.height = Math.round(h * dpr);
+    canvas.style.width = w + 'px';
+    canvas.style.height = h + 'px';
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    camera.aspect = w / h;
+    camera.updateProjectionMatrix();
+    drawnAt = -Infinity;
+    redraw();
+  }
+
+  if (autoResize) watchHostSize(canvas, () => resize(), signal);
+
+  resize();
+  updateRunning();
+
+  // ── Controller ─────────────────────────────────────
+  // As createHeroScene's; there's no sun here, so setTime() only
+  // repaints
+  return {
+    pause() {
+      running.paused = true;
+      // A still frame already queued would paint over renderAt()
+      cancelAnimationFrame(running.still);
+      running.still = 0;
+      updateRunning();
+    },
+
+    resume() {
+      running.paused = false;
+      updateRunning();
+    },
+
+    resize,
+
+    setTime() {
+      redraw();
+    },
+
+    renderAt(elapsed) {
+      clock = elapsed * 1000;
+      draw(elapsed, true);
+    },
+
+    dispose() {
+      listeners.abort();
+      offMotion();
+      if (onscreen) onscreen.disconnect();
+      cancelAnimationFrame(running.frame);
+      cancelAnimationFrame(running.still);
+      running.frame = running.still = 0;
+      running.paused = true;
+      ctx.clearRect(0, 0, view.width, view.height);
+      // Hand the canvas back to the page's own sizing
+      canvas.style.width = '';
+      canvas.style.height = '';
+    },
+  };
+}
@@ -0,0 +1,2284 @@
+/* ============================================
+   idfkit Landing Page — Hero Scene
+
+   A building "shoebox" energy model rendered
+   as animated wireframe lines. Heat flows are
+   shown as red/warm strings; cold flows as
+   blue/cool strings — visualizing thermal
+   energy transfer through the building envelope.
+
+   createHeroScene(canvas, options) draws it on
+   any canvas (in 2D without WebGL, see
+   js/fallback.js) and returns a controller:
+
+     { pause, resume, resize, setTime, renderAt,
+       dispose }
+
+   Options (all optional):
+     palette      colors to override, by name
+                  in C below, as hex numbers
+     building     building description, or the
+                  name of one of the ARCHETYPES
+                  (see js/building.js); default
+                  shoebox
+     telemetry    HUD element, null for none;
+                  default #hero-telemetry in root
+     interactive  follow the mouse and page scroll
+                  and wire the data-file controls
+                  (default true)
+     autoResize   track the size of the canvas's
+                  parent (js/host.js) (default
+                  true); otherwise call resize()
+     root         where to find the controls and
+                  HUD; default the canvas's parent
+     seed         seeds the scatter of particles,
+                  connections and pulses (see
+                  js/random.js); default unseeded
+     date         day the solar clock replays;
+                  default today
+     tier         fixed quality tier, an index into
+                  TIERS (js/quality.js); default
+                  adapts to the frame rate
+     pixelRatio   fixed device pixel ratio; default
+                  follows the quality tier
+     background   opaque clear color as a hex
+                  number; default transparent
+     bloom        post-processing glow and tone
+                  mapping (js/bloom.js); default
+                  true
+     three        three.js r128 to draw with, one
+                  copy per page (js/three.js);
+                  default the global THREE
+   ============================================ */
+
+import { THREE, useThree } from './three.js';
+import { solarPosition, solarDay, sunDirection } from './solar.js';
+import { parseEPW, epwDate, epwSample, epwLabel } from './epw.js';
+import {
+  FRAME, shoeboxBuilding, archetypeBuilding, normalizeBuilding, buildingBounds, envelopeAreas,
+  envelopeEdges, windowEdges, windowCenters, zoneEdges, zoneBounds,
+} from './building.js';
+import { idfBuilding } from './idf.js';
+import { epjsonBuilding } from './epjson.js';
+import { parseResultsCSV, parseResultsJSON, resultsRange } from './results.js';
+import { sampleColormap, drawColorbar } from './colormap.js';
+import {
+  createLineUniforms, buildLineBatch, setLinePoints, setLineColor, setLineCount, disposeLineBatch,
+} from './lines.js';
+import {
+  T_INDOOR, clearSky, envelopeIrradiance,
+  createEnvelope, stepEnvelope, envelopeReadings, internalGains,
+} from './thermal.js';
+import { TIERS, createGovernor } from './quality.js';
+import { motion } from './motion.js';
+import { UNIT_SYSTEMS, units } from './units.js';
+import { createFallbackScene } from './fallback.js';
+import { createRandom } from './random.js';
+import { createOrbit } from './orbit.js';
+import { SHOTS, storyAnchors, storyView } from './story.js';
+import { createWindField } from './wind.js';
+import { createBloom } from './bloom.js';
+import { hostSize, watchHostSize } from './host.js';
+import { createHistory, trendArrow, drawSparkline } from './sparkline.js';
+
+// Without WebGL the scene is drawn by the 2D fallback (js/fallback.js),
+// with the same controller; null when there's no 2D context either, or
+// no three.js
+export function createHeroScene(canvas, options = {}) {
+  const {
+    palette = {}, telemetry, interactive = true, autoResize = true,
+    root = canvas.parentElement || document.body,
+    seed, date = new Date(), tier, pixelRatio, background, bloom = true,
+    three = window.THREE,
+  } = options;
+  if (!three) return null;
+  useThree(three);
+  const random = seed === undefined ? Math.random : createRandom(seed);
+
+  // ── WebGL support check ─────────────────────────────
+  let webgl = true;
+  try {
+    const testCanvas = document.createElement('canvas');
+    const gl = testCanvas.getContext('webgl') || testCanvas.getContext('experimental-webgl');
+    if (!gl) throw new Error('WebGL not supported');
+  } catch (e) {
+    webgl = false;
+  }
+
+  // Every listener goes through this signal so dispose() drops them all
+  const listeners = new AbortController();
+  const { signal } = listeners;
+  const byId = (id) => root.querySelector('#' + id);
+
+  // Text and state of the page's controls as the markup had them, put
+  // back on dispose()
+  const pageState = new Map();
+  function remember(el) {
+    if (!el || pageState.has(el)) return;
+    pageState.set(el, { text: el.textContent, attrs: ['aria-label', 'aria-pressed'].map((a) => [a, el.getAttribute(a)]) });
+  }
+
+  // ── Quality ────────────────────────────────────────
+  // Frame times step the scene between TIERS (js/quality.js). Touch
+  // devices and machines with few cores start a step down.
+  const governor = createGovernor(tier !== undefined ? tier
+    : window.matchMedia('(pointer: coarse)').matches || navigator.hardwareConcurrency <= 4
+      ? TIERS.length - 2 : TIERS.length - 1);
+  let quality = TIERS[governor.tier];
+  const TOP = TIERS[TIERS.length - 1];
+
+  // ── Scene & camera ─────────────────────────────────
+  // The renderer is created under BUILD SCENE, once the 2D fallback
+  // has been ruled out
+  const scene = new THREE.Scene();
+  const startSize = hostSize(canvas);
+  const camera = new THREE.PerspectiveCamera(55, startSize.width / startSize.height, 0.1, 1000);
+  // The framing explore mode (below) glides back to
+  const HOME = { position: new THREE.Vector3(0, 2.5, 14), target: new THREE.Vector3(0, 0, 0) };
+  camera.position.copy(HOME.position);
+  camera.lookAt(HOME.target);
+
+  let sceneOffsetX = 0;
+
+  // ── Mouse ──────────────────────────────────────────
+  const mouse = { x: 0, y: 0, tx: 0, ty: 0 };
+
+  // ── Site & solar clock ─────────────────────────────
+  // The hero replays today's daylight hours at the site, sunrise to
+  // sunset, once every DAY_LOOP seconds. A loaded weather file takes
+  // over both the site and the clock (see Weather & results replay below).
+  const site = { latitude: 45.50, longitude: -73.57 };  // Montréal, QC
+  const DAY_LOOP = 120;
+  let dayStart = 0.3;  // open mid-morning rather than at dawn
+  let solarToday = solarDay(date, site.latitude, site.longitude);
+  const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+  // The HUD clock (below) can take over the loop: hold one hour of a
+  // chosen day, or cycle through whole days at CYCLE_RATE. `day` is
+  // that day's midnight in the site's standard time.
+  const CYCLE_RATE = 2;  // simulated hours per second
+  const hudClock = { mode: 'loop', day: 0, hour: 12, from: 0, scrubbing: false };
+
+  // Standard time at the site, to the nearest hour from its longitude
+  function siteOffset() {
+    return Math.round(site.longitude / 15) * 3600000;
+  }
+
+  function daylight() {
+    const noon = solarToday.noon.getTime();
+    return {
+      rise: solarToday.sunrise ? solarToday.sunrise.getTime() : noon - 43200000,
+      set:  solarToday.sunset  ? solarToday.sunset.getTime()  : noon + 43200000,
+    };
+  }
+
+  function simDate(elapsed) {
+    if (hudClock.mode !== 'loop') {
+      const hour = hudClock.mode === 'cycle'
+        ? ((hudClock.hour + (elapsed - hudClock.from) * CYCLE_RATE) % 24 + 24) % 24
+        : hudClock.hour;
+      return new Date(hudClock.day + hour * 3600000);
+    }
+    const { rise, set } = daylight();
+    const f = (dayStart + elapsed / DAY_LOOP) % 1;
+    return new Date(rise + (set - rise) * f);
+  }
+
+  // Move the loop so simDate(elapsed) lands on `date`
+  function setSimDate(date, elapsed) {
+    solarToday = solarDay(date, site.latitude, site.longitude);
+    const { rise, set } = daylight();
+    const f = THREE.MathUtils.clamp((date.getTime() - rise) / (set - rise), 0, 0.999);
+    dayStart = ((f - elapsed / DAY_LOOP) % 1 + 1) % 1;
+  }
+
+  // ── Color palette: reds→blues for heat→cold ────────
+  const C = {
+    // Warm (heat gain / solar)
+    warmHot:   new THREE.Color(0xff2a6d),  // neon pink-red
+    warm:      new THREE.Color(0xff6b2c),  // electric orange
+    warmMid:   new THREE.Color(0xffc01d),  // vivid amber
+    warmGlow:  new THREE.Color(0xff8a3d),  // warm glow
+
+    // Cool (heat loss / cold)
+    coolDeep:  new THREE.Color(0x2750ff),  // neon deep blue
+    cool:      new THREE.Color(0x26a8ff),  // electric cyan-blue
+    coolLight: new THREE.Color(0x4dd6ff),  // bright aqua
+    coolIce:   new THREE.Color(0x8de9ff),  // icy neon
+
+    // Neutral / structure
+    structure: new THREE.Color(0x94a3b8),  // slate
+    structDim: new THREE.Color(0x475569),  // dim slate
+    grid:      new THREE.Color(0x1e293b),  // dark slate
+    white:     new THREE.Color(0xe2e8f0),  // near white
+  };
+  Object.keys(palette).forEach((k) => { if (C[k]) C[k].set(palette[k]); });
+
+  // ── Main group ─────────────────────────────────────
+  const world = new THREE.Group();
+  scene.add(world);
+
+  // ── Line batches ───────────────────────────────────
+  // Builders return polyline descriptions (see js/lines.js); the scene
+  // merges them into a few batches by blending and lifetime. Channels
+  // let the loop drive whole families of lines with one uniform.
+  const lineUniforms = createLineUniforms();
+  const CH = {
+    STATIC: 0, HEAT: 1, SOLAR: 2, COLD: 3, CONVECTION: 4, ENVELOPE: 5, GROUND: 6, ROOF: 7,
+    GRID: 8, ZONES: 9, SUN_PATH: 10,
+  };
+
+  // Lines may name the heat-transfer path they show with `pick` (see
+  // Picking below)
+  function batch(lines, additive, renderOrder) {
+    const b = buildLineBatch(lines, { uniforms: lineUniforms, additive, renderOrder });
+    b.userData.picks = lines.map((l) => l.pick);
+    return b;
+  }
+
+  // Per-point gradient from c1 at the start to c2 at the end
+  function gradient(c1, c2, n) {
+    const cols = [];
+    for (let j = 0; j < n; j++) cols.push(new THREE.Color().lerpColors(c1, c2, j / (n - 1)));
+    return cols;
+  }
+
+  // The flows, rings and scans below are laid out around the shoebox,
+  // which fills FRAME; this moves such a point to the same place on
+  // `model`'s bounding box, so they stay on whatever envelope is drawn
+  function fitToModel(model) {
+    const { min, max } = buildingBounds(model);
+    const frame = [FRAME.w, FRAME.h, FRAME.d];
+    return (p) => p.map((v, k) => min[k] + (v / frame[k] + 0.5) * (max[k] - min[k]));
+  }
+
+  function subdivide(a, b, segs) {
+    const pts = [];
+    for (let j = 0; j <= segs; j++) pts.push(new THREE.Vector3().lerpVectors(a, b, j / segs));
+    return pts;
+  }
+
+  // ============================================================
+  //  1. GROUND GRID — perspective grid fading to edges
+  // ============================================================
+  function buildGroundGrid() {
+    const lines = [];
+    const size = 24, div = 48, y = -1.5;
+    const step = size / div;
+
+    for (let i = 0; i <= div; i++) {
+      const pos = -size / 2 + i * step;
+      const fade = 1 - Math.pow(Math.abs(pos) / (size / 2), 2);
+      const op = Math.max(0.015, 0.09 * fade);
+
+      // x-parallel
+      lines.push({
+        points: [new THREE.Vector3(-size / 2, y, pos), new THREE.Vector3(size / 2, y, pos)],
+        color: C.grid, delay: 0.3 + i * 0.015, target: op, channel: CH.GRID,
+      });
+
+      // z-parallel
+      lines.push({
+        points: [new THREE.Vector3(pos, y, -size / 2), new THREE.Vector3(pos, y, size / 2)],
+        color: C.grid, delay: 0.3 + i * 0.015, target: op, channel: CH.GRID,
+      });
+    }
+    return lines;
+  }
+
+  // ============================================================
+  //  2. SHOEBOX WIREFRAME — the building envelope
+  // ============================================================
+  // Points per edge scale with length so long façades stay smooth
+  function edgeSegments(a, b, full) {
+    return Math.max(2, Math.round(full * a.distanceTo(b) / FRAME.w));
+  }
+
+  // Returns the drawn edges too, so simulation results can recolor
+  // them per surface (see Results coloring below)
+  function buildShoebox(model) {
+    const lines = [];
+    const edges = [];
+    const { min, max } = buildingBounds(model);
+    const h = max[1] - min[1] || 1;
+    const shell = envelopeEdges(model);
+
+    shell.forEach((e, i) => {
+      const a = new THREE.Vector3(...e.a);
+      const b = new THREE.Vector3(...e.b);
+      const segs = edgeSegments(a, b, 32);
+      const pts = subdivide(a, b, segs);
+
+      // Gradient: warm at top edges, cool at bottom
+      const cols = pts.map((pt) => {
+        // Blend based on height: bottom=blue, top=red
+        const heightT = (pt.y - min[1]) / h; // 0 at bottom, 1 at top
+        const c = new THREE.Color().lerpColors(C.coolLight, C.warm, heightT * 0.5);
+        // Desaturate toward structure color
+        return c.lerp(C.structure, 0.4);
+      });
+
+      edges.push({ line: lines.length, segs, spans: e.spans });
+      lines.push({
+        points: pts, colors: cols, delay: 0.4 + (i / shell.length) * 0.84, target: 1.0,
+        channel: CH.ENVELOPE,
+      });
+    });
+
+    // Glazing outlines, icy against the warm/cool frame
+    const glass = C.coolIce.clone().lerp(C.structure, 0.3);
+    windowEdges(model).forEach((e) => {
+      edges.push({ line: lines.length, segs: 1, spans: e.spans });
+      lines.push({
+        points: [new THREE.Vector3(...e.a), new THREE.Vector3(...e.b)],
+        color: glass, delay: 1.3, target: 0.7,
+      });
+    });
+
+    return { lines, edges };
+  }
+
+  // ============================================================
+  //  3. INTERIOR ZONES — partition walls as dashed lines
+  // ============================================================
+  function buildInterior(model) {
+    const lines = [];
+    const zones = zoneEdges(model);
+
+    // One wireframe per zone, fading in zone by zone
+    zones.forEach(({ edges }, zi) => {
+      edges.forEach((e) => {
+        lines.push({
+          points: subdivide(new THREE.Vector3(...e.a), new THREE.Vector3(...e.b), 16),
+          color: C.structDim,
+          delay: 1.2 + (zi / zones.length) * 0.4,
+          target: 0.25,
+          channel: CH.ZONES,
+        });
+      });
+    });
+
+    return lines;
+  }
+
+  // ============================================================
+  //  4. HEAT FLOW STRINGS — warm red strings (solar, internal)
+  // ============================================================
+  function buildHeatStrings(model) {
+    const lines = [];
+
+    const solarPaths = [
+      // Solar rays from upper right — primary cluster
+      { a: [7, 7, -2],     b: [1.8, 1.4, 0.3],   c1: C.warmHot,  c2: C.warmMid },
+      { a: [6, 6.5, 0],    b: [0.8, 1.4, 1.0],   c1: C.warmHot,  c2: C.warm },
+      { a: [8, 6, -1],     b: [2.2, 1.4, -0.8],  c1: C.warmHot,  c2: C.warmMid },
+      { a: [5.5, 7, 1],    b: [-0.5, 1.4, 1.2],  c1: C.warm,     c2: C.warmGlow },
+      { a: [7.5, 5.5, -3], b: [1.5, 1.4, -1.5],  c1: C.warmHot,  c2: C.warm },
+
+      // Additional solar rays — wider spread
+      { a: [9, 7.5, -1.5], b: [2.0, 1.4, -0.2],  c1: C.warmHot,  c2: C.warmGlow },
+      { a: [6.5, 8, 1.5],  b: [0.2, 1.4, 0.8],   c1: C.warm,     c2: C.warmMid },
+      { a: [8.5, 5, -4],   b: [1.0, 1.4, -1.2],  c1: C.warmHot,  c2: C.warm },
+      { a: [5, 8.5, -0.5], b: [-1.2, 1.4, 0.5],  c1: C.warm,     c2: C.warmGlow },
+      { a: [7, 5.8, 2],    b: [0.5, 1.4, 1.5],   c1: C.warmHot,  c2: C.warmMid },
+      { a: [9.5, 6.5, 0],  b: [2.25, 1.0, 0.6],  c1: C.warmHot,  c2: C.warm },
+      { a: [6, 9, -1],     b: [-0.8, 1.4, -0.3],  c1: C.warm,     c2: C.warmGlow },
+    ];
+
+    const internalPaths = [
+      // Internal heat rising (occupancy, equipment)
+      { a: [-0.5, -1.5, 0],   b: [-0.5, 0.5, 0.3],  c1: C.warmGlow, c2: C.warmMid },
+      { a: [1.0, -1.5, 0.5],  b: [1.0, 0.5, 0.8],   c1: C.warmGlow, c2: C.warm },
+      { a: [0.3, -1.5, -0.5], b: [0.3, 0.8, -0.2],  c1: C.warmGlow, c2: C.warmMid },
+      { a: [-1.2, -1.5, 0.8], b: [-1.2, 0.3, 1.0],  c1: C.warmGlow, c2: C.warm },
+      { a: [1.5, -1.5, -0.3], b: [1.5, 0.6, 0.0],   c1: C.warmGlow, c2: C.warmMid },
+    ];
+
+    const solarRays = [];
+    const targets = solarTargets(model, solarPaths.length);
+    const fit = fitToModel(model);
+
+    solarPaths.concat(internalPaths).forEach((p, i) => {
+      const solar = i < solarPaths.length;
+      // Solar rays start in the sky and get re-aimed at the sun anyway
+      const a = new THREE.Vector3(...(solar ? p.a : fit(p.a)));
+      const b = new THREE.Vector3(...(targets && solar ? targets[i] : fit(p.b)));
+      const segs = quality.stringSegs;
+      const sign = i % 2 === 0 ? 1 : -1;
+
+      if (solar) {
+        solarRays.push({ line: lines.length, b, sign, segs, len: a.distanceTo(b),
+          dir: new THREE.Vector3().subVectors(a, b).normalize() });
+      }
+      lines.push({
+        points: heatStringPoints(a, b, sign, segs),
+        colors: gradient(p.c1, p.c2, segs + 1),
+        delay: 1.6 + i * 0.1,
+        target: 0.9,
+        speed: 0.8 + random() * 0.6,
+        phase: random() * Math.PI * 2,
+        channel: solar ? CH.SOLAR : CH.HEAT,
+        pick: solar ? 'solar' : 'internal',
+      });
+    });
+
+    // Each ray keeps its offset from the cluster's mean direction so
+    // the spread survives re-aiming at the sun
+    const mean = new THREE.Vector3();
+    solarRays.forEach((r) => mean.add(r.dir));
+    mean.normalize();
+    solarRays.forEach((r) => { r.spread = r.dir.sub(mean).multiplyScalar(0.6); delete r.dir; });
+
+    return { lines, solarRays };
+  }
+
+  // Where the solar rays land on a model with windows: the glazing that
+  // faces the equator (any, if none does), spread over the façades.
+  // Null without windows, leaving the rays on the roof.
+  function solarTargets(model, count) {
+    const panes = windowCenters(model);
+    if (!panes.length) return null;
+    const toEquator = site.latitude >= 0 ? 1 : -1;
+    const facing = panes.filter((w) => w.normal[2] * toEquator > 0.3);
+    const pool = facing.length ? facing : panes;
+    return Array.from({ length: count }, (_, i) => pool[Math.floor(i * pool.length / count)].center);
+  }
+
+  // Points along a→b with a sideways sine bulge for an organic feel
+  function heatStringPoints(a, b, sign, segs) {
+    const perp = new THREE.Vector3().crossVectors(
+      new THREE.Vector3().subVectors(b, a).normalize(),
+      new THREE.Vector3(0, 1, 0)
+    ).normalize();
+    const pts = [];
+    for (let j = 0; j <= segs; j++) {
+      const t = j / segs;
+      const bulge = Math.sin(t * Math.PI) * 0.4;
+      pts.push(new THREE.Vector3().lerpVectors(a, b, t)
+        .addScaledVector(perp, bulge * sign * 0.3));
+    }
+    return pts;
+  }
+
+  // Swing the solar rays so they arrive from the sun's direction
+  function aimSolarRays(flows, rays, sun) {
+    const dir = new THREE.Vector3();
+    rays.forEach((r) => {
+      dir.set(sun.x, Math.max(sun.y, 0.05), sun.z).normalize().add(r.spread);
+      dir.y = Math.max(dir.y, 0.05);
+      dir.normalize();
+      const a = r.b.clone().addScaledVector(dir, r.len);
+      setLinePoints(flows, r.line, heatStringPoints(a, r.b, r.sign, r.segs));
+    });
+    flows.geometry.attributes.position.needsUpdate = true;
+    flows.geometry.boundingSphere = null;  // recomputed when next picked
+  }
+
+  // ============================================================
+  //  5. COLD FLOW STRINGS — cool blue strings (heat loss)
+  // ============================================================
+  function buildColdStrings(model) {
+    const paths = [
+      // Heat loss through walls (outward from building)
+      { a: [2.25, 0, 1.6],      b: [4.5, 0.5, 4.0],    c1: C.cool,     c2: C.coolIce },
+      { a: [-2.25, 0.5, 1.6],   b: [-4.5, 1.0, 3.5],   c1: C.cool,     c2: C.coolLight },
+      { a: [0, 1.4, 1.6],       b: [0, 3.5, 4.5],       c1: C.coolDeep, c2: C.coolIce },
+      { a: [2.25, 0.8, -1.6],   b: [5, 1.2, -3.5],      c1: C.cool,     c2: C.coolIce },
+      { a: [-2.25, -0.3, -1.6], b: [-4, -0.5, -4],       c1: C.coolDeep, c2: C.coolLight },
+
+      // Additional wall heat loss — more directions
+      { a: [2.25, 1.0, 0.5],    b: [5.5, 1.8, 2.0],     c1: C.cool,     c2: C.coolIce },
+      { a: [-2.25, 0.8, -0.5],  b: [-5.5, 1.5, -2.5],   c1: C.cool,     c2: C.coolLight },
+      { a: [1.5, 1.4, -1.6],    b: [3.5, 3.0, -4.0],    c1: C.coolDeep, c2: C.coolIce },
+      { a: [-1.5, 1.4, 1.6],    b: [-3.5, 3.0, 4.0],    c1: C.coolDeep, c2: C.coolLight },
+      { a: [2.25, -0.5, 0],     b: [5.0, -0.8, 1.5],    c1: C.cool,     c2: C.coolIce },
+      { a: [-2.25, -0.5, 0],    b: [-5.0, -0.8, -1.5],  c1: C.cool,     c2: C.coolLight },
+      { a: [0, 1.4, -1.6],      b: [0, 3.8, -5.0],      c1: C.coolDeep, c2: C.coolIce },
+
+      // Ground heat exchange (downward)
+      { a: [-1.2, -1.5, 0],     b: [-1.8, -5, 0.5],     c1: C.coolLight, c2: C.coolDeep },
+      { a: [1.2, -1.5, 0.5],    b: [1.8, -4.5, 1.0],    c1: C.coolLight, c2: C.coolDeep },
+      { a: [0, -1.5, -0.5],     b: [0.3, -4, -1.0],     c1: C.cool,      c2: C.coolDeep },
+      { a: [-0.5, -1.5, 1.0],   b: [-0.8, -5.5, 1.5],   c1: C.coolLight, c2: C.coolDeep },
+      { a: [0.8, -1.5, -1.0],   b: [1.2, -5.0, -1.5],   c1: C.cool,      c2: C.coolDeep },
+      { a: [-1.8, -1.5, -0.8],  b: [-2.5, -4.8, -1.2],  c1: C.coolLight, c2: C.coolDeep },
+    ];
+
+    const GROUND_FROM = 12;  // the rest run down into the ground
+    const fit = fitToModel(model);
+
+    // Each string leaves its spot on the model's envelope and keeps
+    // its length and heading away from it
+    return paths.map((p, i) => {
+      const a = new THREE.Vector3(...fit(p.a));
+      const b = new THREE.Vector3(...p.b).sub(new THREE.Vector3(...p.a)).add(a);
+      const segs = quality.stringSegs;
+      const ground = i >= GROUND_FROM;
+      const perp = new THREE.Vector3().crossVectors(
+        new THREE.Vector3().subVectors(b, a).normalize(),
+        new THREE.Vector3(0, 1, 0)
+      ).normalize();
+      const pts = [];
+
+      for (let j = 0; j <= segs; j++) {
+        const t = j / segs;
+        const bulge = Math.sin(t * Math.PI) * 0.35;
+        pts.push(new THREE.Vector3().lerpVectors(a, b, t)
+          .addScaledVector(perp, bulge * (i % 2 === 0 ? -1 : 1) * 0.3));
+      }
+
+      return {
+        points: pts,
+        colors: gradient(p.c1, p.c2, segs + 1),
+        delay: 2.0 + i * 0.1,
+        target: 0.82,
+        speed: 0.6 + random() * 0.5,
+        phase: random() * Math.PI * 2,
+        channel: ground ? CH.GROUND : CH.COLD,
+        pick: ground ? 'ground' : 'conduction',
+      };
+    });
+  }
+
+  // ============================================================
+  //  6. AMBIENT PARTICLES — floating data points
+  // ============================================================
+  // Scattered through the sphere the wind field (js/wind.js) carries
+  // them around in
+  const PARTICLE_DOMAIN = { center: new THREE.Vector3(0, -0.5, 0), radius: 11 };
+
+  function buildParticles() {
+    const count = TOP.particles;  // lower tiers draw fewer
+    const pos = new Float32Array(count * 3);
+    const cols = new Float32Array(count * 3);
+    const drift = [];
+    const { center, radius } = PARTICLE_DOMAIN;
+
+    for (let i = 0; i < count; i++) {
+      const theta = random() * Math.PI * 2;
+      const phi = Math.acos(2 * random() - 1);
+      const r = 3 + random() * (radius - 3);
+      pos[i * 3]     = center.x + r * Math.sin(phi) * Math.cos(theta);
+      pos[i * 3 + 1] = center.y + r * Math.sin(phi) * Math.sin(theta);
+      pos[i * 3 + 2] = center.z + r * Math.cos(phi);
+
+      // Color: mix of warm and cool
+      const p = random();
+      let c;
+      if (p < 0.35)      c = C.warm.clone().lerp(C.warmHot, random());
+      else if (p < 0.7)  c = C.cool.clone().lerp(C.coolIce, random());
+      else               c = C.structure.clone();
+      cols[i * 3]     = c.r;
+      cols[i * 3 + 1] = c.g;
+      cols[i * 3 + 2] = c.b;
+
+      // Light motes drift a little faster than heavy ones
+      drift.push(0.8 + random() * 0.4);
+    }
+
+    const geom = new THREE.BufferGeometry();
+    geom.setAttribute('position', new THREE.BufferAttribute(pos, 3));
+    geom.setAttribute('color', new THREE.BufferAttribute(cols, 3));
+
+    const mat = new THREE.PointsMaterial({
+      size: 0.045,
+      vertexColors: true,
+      transparent: true,
+      opacity: 0,
+      sizeAttenuation: true,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false,
+    });
+
+    const pts = new THREE.Points(geom, mat);
+    pts.userData = { delay: 2.5, target: 0.75 };
+    return { points: pts, drift };
+  }
+
+  // ============================================================
+  //  7. CONNECTION LINES — faint network mesh
+  // ============================================================
+  function buildConnections() {
+    const lines = [];
+    const n = 65;
+    const nodes = [];
+
+    for (let i = 0; i < n; i++) {
+      const th = random() * Math.PI * 2;
+      const ph = Math.acos(2 * random() - 1);
+      const r = 4 + random() * 6;
+      nodes.push(new THREE.Vector3(
+        r * Math.sin(ph) * Math.cos(th),
+        r * Math.sin(ph) * Math.sin(th) - 0.5,
+        r * Math.cos(ph)
+      ));
+    }
+
+    const max = TOP.connections;  // lower tiers draw fewer
+    for (let i = 0; i < n && lines.length < max; i++) {
+      for (let j = i + 1; j < n && lines.length < max; j++) {
+        const d = nodes[i].distanceTo(nodes[j]);
+        if (d < 3.8) {
+          // Color based on position: warm if above, cool if below
+          const avgY = (nodes[i].y + nodes[j].y) / 2;
+          const c = avgY > 0
+            ? C.warm.clone().lerp(C.structure, 0.7)
+            : C.cool.clone().lerp(C.structure, 0.7);
+
+          lines.push({
+            points: [nodes[i], nodes[j]],
+            color: c,
+            delay: 2.4 + lines.length * 0.015,
+            target: 0.04 + random() * 0.05,
+          });
+        }
+      }
+    }
+    return lines;
+  }
+
+  // ============================================================
+  //  8. SCAN LINE — horizontal thermal scan
+  // ============================================================
+  function buildScanLine() {
+    const w = 6;
+    const segs = 40;
+    const pts = [];
+    const cols = [];
+    for (let i = 0; i <= segs; i++) {
+      const t = i / segs;
+      pts.push(new THREE.Vector3(-w / 2 + w * t, 0, 0));
+      // Red in center, blue at edges
+      cols.push(new THREE.Color().lerpColors(C.coolLight, C.warm, Math.sin(t * Math.PI)));
+    }
+    return batch([{ points: pts, colors: cols, delay: 1.5, target: 0.2 }], false, 7);
+  }
+
+  // ============================================================
+  //  9. CONVECTION ARCS — looping airflow lines inside building
+  // ============================================================
+  function buildConvectionArcs(model) {
+    const zones = zoneBounds(model);
+    const palette = [[C.warmGlow, C.coolLight], [C.warm, C.cool]];
+
+    // One looping airflow line per zone, turning along the zone's
+    // longer plan axis and alternating direction zone to zone
+    const arcs = zones.map(({ min, max }, i) => {
+      const size = [max[0] - min[0], max[1] - min[1], max[2] - min[2]];
+      const alongX = size[0] >= size[2];
+      return {
+        cx: (min[0] + max[0]) / 2, cy: (min[1] + max[1]) / 2, cz: (min[2] + max[2]) / 2,
+        alongX,
+        rx: 0.42 * (alongX ? size[0] : size[2]),
+        ry: 0.36 * size[1],
+        sway: 0.1 * (alongX ? size[2] : size[0]),
+        startAngle: i * Math.PI * 0.5,
+        dir: i % 2 === 0 ? 1 : -1,
+        c1: palette[i % 2][0], c2: palette[i % 2][1],
+      };
+    });
+
+    return arcs.map((arc, i) => {
+      const segs = Math.round(quality.stringSegs * 1.2);
+      const pts = [];
+      for (let j = 0; j <= segs; j++) {
+        const t = j / segs;
+        const angle = arc.startAngle + arc.dir * t * Math.PI * 1.6;
+        const u = Math.cos(angle) * arc.rx;
+        const v = Math.sin(angle * 0.5) * arc.sway;
+        const y = arc.cy + Math.sin(angle) * arc.ry * 0.6;
+        pts.push(arc.alongX
+          ? new THREE.Vector3(arc.cx + u, y, arc.cz + v)
+          : new THREE.Vector3(arc.cx + v, y, arc.cz + u));
+      }
+
+      return {
+        points: pts,
+        colors: gradient(arc.c1, arc.c2, segs + 1),
+        delay: 2.6 + (i / arcs.length) * 0.48,
+        target: 0.48,
+        speed: 0.5 + random() * 0.4,
+        phase: random() * Math.PI * 2,
+        channel: CH.CONVECTION,
+        pick: 'convection',
+      };
+    });
+  }
+
+  // ============================================================
+  //  10. RADIATION RINGS — concentric heat radiation circles
+  // ============================================================
+  // Around the sunlit roof and just under the slab, centred on the
+  // model; radii are for the shoebox and scale with the plan diagonal
+  function buildRadiationRings(model) {
+    const rings = [
+      { roof: true,  r: 2.8, c: C.warmMid,   op: 0.12 },
+      { roof: true,  r: 3.6, c: C.warm,      op: 0.08 },
+      { roof: true,  r: 4.5, c: C.warmGlow,  op: 0.05 },
+      { roof: false, r: 2.5, c: C.coolLight, op: 0.10 },
+      { roof: false, r: 3.4, c: C.cool,      op: 0.07 },
+      { roof: false, r: 4.2, c: C.coolDeep,  op: 0.04 },
+    ];
+    const { min, max } = buildingBounds(model);
+    const cx = (min[0] + max[0]) / 2, cz = (min[2] + max[2]) / 2;
+    const k = Math.hypot(max[0] - min[0], max[2] - min[2]) / Math.hypot(FRAME.w, FRAME.d);
+
+    return rings.map(({ roof, r, c, op }, i) => {
+      const y = roof ? max[1] : min[1] - 0.1;
+      const segs = 80;
+      const pts = [];
+      for (let j = 0; j <= segs; j++) {
+        const angle = (j / segs) * Math.PI * 2;
+        pts.push(new THREE.Vector3(
+          cx + Math.cos(angle) * r * k,
+          y,
+          cz + Math.sin(angle) * r * k
+        ));
+      }
+      return {
+        points: pts, color: c, delay: 2.8 + i * 0.1, target: op,
+        channel: roof ? CH.ROOF : CH.GROUND,
+        pick: roof ? 'solar' : 'ground',
+      };
+    });
+  }
+
+  // ============================================================
+  //  11. VERTICAL SCAN LINES — multiple sweeping thermal scans
+  // ============================================================
+  function buildVerticalScans() {
+    const g = new THREE.Group();
+    const scans = [];
+    const configs = [
+      { h: 5, x: -1.5, front: true },
+      { h: 4, x: 1.8,  front: true },
+      { h: 3.5, x: 0, front: false },
+    ];
+
+    configs.forEach((cfg, i) => {
+      const segs = 30;
+      const pts = [];
+      for (let j = 0; j <= segs; j++) {
+        pts.push(new THREE.Vector3(0, -cfg.h / 2 + (cfg.h * j / segs), 0));
+      }
+      const line = batch([{
+        points: pts,
+        colors: gradient(C.coolDeep, C.warmHot, segs + 1),
+        delay: 1.8 + i * 0.15,
+        target: 0.15,
+      }], false, 8);
+      g.add(line);
+      scans.push({ line, baseX: cfg.x, front: cfg.front, speed: 0.25 + i * 0.1 });
+    });
+
+    return { group: g, scans };
+  }
+
+  // ============================================================
+  //  12. SUN PATH — the sun's arc over the site
+  // ============================================================
+  // For the day the solar clock replays; hidden until the scroll
+  // storyboard brings it in
+  const SUN_PATH_RADIUS = 9;
+
+  function buildSunPath() {
+    const { rise, set } = daylight();
+    const segs = 48;
+    const pts = [], cols = [];
+    const dir = { x: 0, y: 0, z: 0 };
+    for (let j = 0; j <= segs; j++) {
+      const pos = solarPosition(new Date(rise + (set - rise) * j / segs), site.latitude, site.longitude);
+      sunDirection(pos.altitude, pos.azimuth, dir);
+      pts.push(new THREE.Vector3(dir.x, dir.y, dir.z).multiplyScalar(SUN_PATH_RADIUS));
+      cols.push(new THREE.Color().lerpColors(C.warm, C.warmMid, Math.sin(Math.PI * j / segs)));
+    }
+    return [{ points: pts, colors: cols, delay: 0, target: 0.8, speed: 0.4, channel: CH.SUN_PATH }];
+  }
+
+  // ============================================================
+  //  BUILD SCENE
+  // ============================================================
+  // Batches, in draw order: static backdrop, then the model, flows and
+  // the moving scan lines. Model-dependent batches rebuild on load.
+  let building = !options.building ? shoeboxBuilding()
+    : normalizeBuilding(typeof options.building === 'string'
+      ? archetypeBuilding(options.building) : options.building);
+
+  // Without WebGL the envelope, strings and rings go to the 2D
+  // fallback, drawn at the lowest quality tier
+  function createFallback(target) {
+    quality = TIERS[0];
+    return createFallbackScene(target, {
+      camera, interactive, autoResize, background, pixelRatio,
+      layers: [
+        { lines: buildRadiationRings(building), additive: false },
+        { lines: buildShoebox(building).lines, additive: true },
+        { lines: buildHeatStrings(building).lines.concat(buildColdStrings(building)), additive: true },
+      ],
+    });
+  }
+
+  if (!webgl) return createFallback(canvas);
+
+  const renderer = new THREE.WebGLRenderer({
+    canvas,
+    antialias: true,
+    alpha: true,
+  });
+  renderer.setSize(startSize.width, startSize.height);
+  renderer.setPixelRatio(pixelRatio || Math.min(window.devicePixelRatio, quality.pixelRatio));
+  if (background === undefined) renderer.setClearColor(0x000000, 0);
+  else renderer.setClearColor(background, 1);
+
+  // Bloom and tone mapping (js/bloom.js) on the path the quality tier
+  // names; WebGL 1 keeps to the low one
+  const post = createBloom(renderer);
+  const postSize = new THREE.Vector2();
+  post.setLevel(bloom ? quality.bloom : 'off');
+  post.setSize(startSize.width, startSize.height);
+
+  let backdrop, backdropFixed, particles, particleDrift, scanLine, vertScansGroup, vertScans;
+  let flows, solarRays, sunPath;
+  let rings, shoebox, shoeboxEdges, interior, convection;
+
+  // Heat and cold strings; their point counts follow the quality tier
+  // and the solar rays land on the model's windows
+  function buildFlows() {
+    const heat = buildHeatStrings(building);
+    flows = batch(heat.lines.concat(buildColdStrings(building)), true, 5);
+    flows.frustumCulled = false;  // solar rays swing with the sun
+    solarRays = heat.solarRays;
+  }
+
+  function buildModelBatches(model) {
+    rings = batch(buildRadiationRings(model), false, 0);
+    const box = buildShoebox(model);
+    shoebox = batch(box.lines, true, 2);
+    shoeboxEdges = box.edges;
+    interior = batch(buildInterior(model), false, 3);
+    convection = batch(buildConvectionArcs(model), true, 4);
+    [rings, shoebox, interior, convection].forEach((b) => world.add(b));
+  }
+
+  // Trim the batches whose line counts follow the quality tier
+  function applyLineCounts() {
+    setLineCount(backdrop, backdropFixed.length + quality.connections);
+    particles.geometry.setDrawRange(0, quality.particles);
+  }
+
+  // Everything in the world, from the builders; runs again to rebuild
+  // the GPU resources after a lost WebGL context is restored
+  function buildScene() {
+    // Connections go last so lower tiers can trim them off the end
+    backdropFixed = buildGroundGrid();
+    backdrop = batch(backdropFixed.concat(buildConnections()), false, 0);
+    ({ points: particles, drift: particleDrift } = buildParticles());
+    particles.renderOrder = 6;
+    scanLine = buildScanLine();
+    ({ group: vertScansGroup, scans: vertScans } = buildVerticalScans());
+
+    world.add(backdrop);
+    buildModelBatches(building);
+    buildFlows();
+    world.add(flows);
+    sunPath = batch(buildSunPath(), true, 5);
+    world.add(sunPath);
+    applyLineCounts();
+    world.add(particles);
+    world.add(scanLine);
+    world.add(vertScansGroup);
+  }
+
+  // Redraw the sun path for a new site or day
+  function setSunPath() {
+    world.remove(sunPath);
+    disposeLineBatch(sunPath);
+    sunPath = batch(buildSunPath(), true, 5);
+    world.add(sunPath);
+  }
+
+  function disposeScene() {
+    world.traverse((o) => {
+      if (o.geometry) o.geometry.dispose();
+      if (o.material) o.material.dispose();
+    });
+    world.remove(...world.children);
+    post.dispose();
+  }
+
+  buildScene();
+
+  // ============================================================
+  //  ANIMATION
+  // ============================================================
+  let clock = 0;  // ms of animation run so far; stands still while paused
+  const STILL_AT = 6;        // s; still frames show the scene fully faded in
+  const STILL_TILT = -0.08;  // rad; composed still view
+  const STILL_TURN = 0.3;
+  let sy = 0;
+  let lastElapsed = 0;
+
+  // Entrance fade for the particles, matching the line shader's:
+  // ease-out cubic over 0.9 s from the delay
+  function fadeIn({ delay, target }, elapsed) {
+    const p = THREE.MathUtils.clamp((elapsed - delay) / 0.9, 0, 1);
+    return (1 - Math.pow(1 - p, 3)) * target;
+  }
+
+  // Particles ride the wind the HUD reads out, around the building,
+  // and blow back in upstream once they leave the domain
+  const wind = createWindField({ domain: PARTICLE_DOMAIN, random });
+  let bounds = buildingBounds(building);
+  wind.setObstacle(bounds);
+  const mote = new THREE.Vector3(), air = new THREE.Vector3();
+  let windAt = null;  // clock of the last step
+
+  function moveParticles(time) {
+    const dt = windAt === null ? 0 : THREE.MathUtils.clamp(time - windAt, 0, 0.1);
+    windAt = time;
+    wind.setWind(drivers.wind, drivers.windDir);
+    wind.step(dt);
+
+    const p = particles.geometry.attributes.position;
+    for (let i = 0; i < quality.particles; i++) {
+      mote.fromArray(p.array, i * 3);
+      wind.velocity(mote, time, air);
+      mote.addScaledVector(air, dt * particleDrift[i]);
+      if (wind.outside(mote)) wind.upstream(mote);
+      mote.toArray(p.array, i * 3);
+    }
+    p.needsUpdate = true;
+  }
+
+  // The scan line sweeps up and down the model's front face, the
+  // vertical ones across the front and back; their reach is the
+  // shoebox's, scaled to the model's box
+  function moveScan(time) {
+    const { min, max } = bounds;
+    const kx = (max[0] - min[0]) / FRAME.w;
+    const cx = (min[0] + max[0]) / 2, cy = (min[1] + max[1]) / 2;
+    scanLine.position.set(cx, cy + Math.sin(time * 0.35) * 2.0 * (max[1] - min[1]) / FRAME.h, max[2] + 0.01);
+    scanLine.scale.x = kx;
+
+    vertScans.forEach(({ line, baseX, front, speed }) => {
+      line.position.set(cx + (baseX + Math.sin(time * speed) * 2.5) * kx, cy, front ? max[2] + 0.01 : min[2] - 0.01);
+    });
+  }
+
+  // ── Weather & results replay ───────────────────────
+  // With a weather file or simulation results loaded the clock steps
+  // through their records, HOURS_PER_SECOND per second of animation.
+  // The weather file sets the length when both are loaded.
+  const HOURS_PER_SECOND = 4;
+  const replay = {
+    epw: null, results: null,
+    hour: 0, count: 0, playing: true, scrubbing: false,
+  };
+
+  // String intensity follows the envelope model: sunshine for the
+  // warm strings, heat lost through the envelope for the cool ones;
+  // the solar rays fade with the sun
+  const climate = { heat: 1, cold: 1, sun: 1 };
+
+  function clockDate(elapsed) {
+    if (!replay.epw) return simDate(elapsed);
+    const i = Math.floor(replay.hour);
+    return new Date(epwDate(replay.epw, i).getTime() + (replay.hour - i) * 3600000);
+  }
+
+  // ── Envelope thermal model ─────────────────────────
+  // The HUD reads the state of an RC model of the envelope, stepped on
+  // the same clock as the sun. Without a weather file it runs on
+  // clear-sky sun and a mild daily swing peaking mid-afternoon.
+  const T_GROUND = 12;  // °C, deep ground without a weather file
+  let groundTemp = T_GROUND;
+  const envelope = createEnvelope(envelopeAreas(building));
+  const drivers = {
+    tIn: T_INDOOR, tOut: 18, tGround: T_GROUND, wind: 4, windDir: 250,
+    irradiance: { wall: 0, roof: 0 },
+  };
+  let hud = envelopeReadings(envelope, drivers);
+  let gains = 0;  // internal, W/m²
+
+  function syntheticWind(elapsed) {
+    return 4.0 + 1.5 * Math.sin(elapsed * 0.31) + 0.8 * Math.sin(elapsed * 0.97) + 0.4 * Math.sin(elapsed * 2.3);
+  }
+
+  // A westerly that veers a little either way, degrees from north
+  function syntheticWindDir(elapsed) {
+    return 250 + 25 * Math.sin(elapsed * 0.05);
+  }
+
+  // Outdoor conditions for the model; returns the sky irradiance
+  function updateDrivers(pos, elapsed) {
+    let sky;
+    if (replay.epw) {
+      const epw = replay.epw, h = replay.hour;
+      drivers.tOut = epwSample(epw, 'dryBulb', h);
+      drivers.wind = epwSample(epw, 'windSpeed', h);
+      // Directions wrap at north, so hold the hour's reading
+      drivers.windDir = epw.hours.windDir[Math.floor(h) % epw.count];
+      sky = {
+        dni: epwSample(epw, 'dni', h),
+        dhi: epwSample(epw, 'dhi', h),
+        ghi: epwSample(epw, 'ghi', h),
+      };
+    } else {
+      drivers.tOut = 18 + 6 * Math.cos((pos.hourAngle - 45) * THREE.MathUtils.DEG2RAD);
+      drivers.wind = syntheticWind(elapsed);
+      drivers.windDir = syntheticWindDir(elapsed);
+      sky = clearSky(pos.altitude);
+    }
+    drivers.tGround = groundTemp;
+    drivers.irradiance = envelopeIrradiance(sky, pos.altitude, pos.azimuth);
+    return sky;
+  }
+
+  // Sun position for the current clock: re-aims the solar rays, dims
+  // them as the sun approaches the horizon (or clouds roll in) and
+  // steps the envelope model to the same moment
+  const sun = { altitude: 0, azimuth: 180, dir: { x: 0, y: 1, z: 0 } };
+
+  function updateSun(elapsed) {
+    const date = clockDate(elapsed);
+    const pos = solarPosition(date, site.latitude, site.longitude);
+    sun.altitude = pos.altitude;
+    sun.azimuth = pos.azimuth;
+    sunDirection(pos.altitude, pos.azimuth, sun.dir);
+    aimSolarRays(flows, solarRays, sun.dir);
+
+    const sky = updateDrivers(pos, elapsed);
+    stepEnvelope(envelope, drivers, date.getTime());
+    hud = envelopeReadings(envelope, drivers);
+    gains = internalGains(12 + pos.hourAngle / 15);
+
+    const strength = replay.epw
+      ? Math.min(1, sky.ghi / 600)
+      : THREE.MathUtils.smoothstep(pos.altitude, -1, 12);
+    climate.sun = 0.1 + 0.9 * strength;
+    climate.heat = 0.35 + 0.65 * Math.min(1, sky.ghi / 800);
+    climate.cold = 0.35 + 0.65 * THREE.MathUtils.clamp(-hud.heatFlux / 10, 0, 1);
+  }
+
+  // ── Results coloring ───────────────────────────────
+  // Loaded simulation results replace the envelope's height gradient:
+  // each stretch of an edge takes the colormap color of the surfaces
+  // it bounds at the current record, and goes dim where the results
+  // have no matching surface. Diverging scales center on zero.
+  const resultsView = { variable: null, range: null, colormap: 'viridis', painted: -1 };
+
+  function surfaceResult(series, names, j) {
+    let sum = 0, n = 0;
+    names.forEach((name) => {
+      const values = series.get(name.toUpperCase());
+      if (values && isFinite(values[j])) { sum += values[j]; n++; }
+    });
+    return n ? sum / n : NaN;
+  }
+
+  function paintResults(force) {
+    const { variable, range, colormap } = resultsView;
+    const j = Math.floor(replay.hour) % replay.results.count;
+    if (j === resultsView.painted && !force) return;
+    resultsView.painted = j;
+
+    const c = { r: 0, g: 0, b: 0 };
+    shoeboxEdges.forEach(({ line, segs, spans }) => {
+      const values = spans.map((span) => surfaceResult(variable.series, span.surfaces, j));
+      for (let k = 0; k <= segs; k++) {
+        const t = k / segs;
+        const si = spans.findIndex((span) => t >= span.from - 1e-6 && t <= span.to + 1e-6);
+        const v = values[Math.max(0, si)];
+        if (isFinite(v)) {
+          sampleColormap(colormap, (v - range.min) / (range.max - range.min), c);
+          setLineColor(shoebox, line, k, c.r, c.g, c.b);
+        } else {
+          setLineColor(shoebox, line, k, C.structDim.r, C.structDim.g, C.structDim.b);
+        }
+      }
+    });
+    shoebox.geometry.attributes.aColor.needsUpdate = true;
+  }
+
+  // ── Telemetry DOM references ───────────────────────
+  var telemFrame = 0;
+  var telemContainer = telemetry === undefined ? byId('hero-telemetry') : telemetry;
+  var telemEls = telemContainer ? [
+    telemContainer.querySelector('#telem-solar-alt'),
+    telemContainer.querySelector('#telem-azimuth'),
+    telemContainer.querySelector('#telem-surf-temp'),
+    telemContainer.querySelector('#telem-wind'),
+    telemContainer.querySelector('#telem-heat-flux'),
+    telemContainer.querySelector('#telem-delta-t')
+  ] : null;
+  if (telemEls) telemEls.forEach(remember);
+
+  // What each row reads, in SI, and how it's shown
+  const READOUTS = [
+    { get: () => sun.altitude, format: (v) => v.toFixed(1) + '°' },
+    { get: () => sun.azimuth, format: (v) => v.toFixed(1) + '°' },
+    { get: () => hud.surfTemp, format: (v) => units.format('temperature', v) },
+    { get: () => drivers.wind, format: (v) => units.format('speed', v) },
+    { get: () => hud.heatFlux, format: (v) => units.format('flux', v, { signed: true }) },
+    { get: () => hud.deltaT, format: (v) => units.format('difference', v, { signed: true }) },
+  ];
+
+  function showTelemetry() {
+    telemEls.forEach((el, i) => { el.textContent = READOUTS[i].format(READOUTS[i].get()); });
+  }
+
+  // ── HUD history ────────────────────────────────────
+  // Each row opens a rolling sparkline of its last HISTORY seconds,
+  // with the lowest and highest points marked and a trend arrow; the
+  // history button opens all six on one time axis.
+  const HISTORY = 30;         // s shown
+  const HISTORY_STEP = 0.25;  // s between samples
+  const spark = telemEls && interactive ? {
+    rows: telemEls.map((el) => el.closest('.telemetry-row')),
+    series: READOUTS.map(() => createHistory(Math.ceil(HISTORY / HISTORY_STEP) + 1)),
+    canvases: [],
+    arrows: [],
+    open: READOUTS.map(() => false),
+    all: false,
+    toggle: telemContainer.querySelector('#telem-history'),
+    axis: document.createElement('div'),
+    last: -Infinity,
+  } : null;
+
+  function sparkShown(i) {
+    return spark.all || spark.open[i];
+  }
+
+  function showHistory() {
+    spark.rows.forEach((row, i) => {
+      spark.canvases[i].hidden = spark.arrows[i].hidden = !sparkShown(i);
+      row.setAttribute('aria-expanded', String(sparkShown(i)));
+    });
+    spark.axis.hidden = !spark.all;
+    if (spark.toggle) spark.toggle.setAttribute('aria-pressed', String(spark.all));
+    drawHistory();
+  }
+
+  function sampleHistory(elapsed) {
+    if (elapsed - spark.last < HISTORY_STEP && elapsed >= spark.last) return;
+    spark.last = elapsed;
+    spark.series.forEach((s, i) => s.push(elapsed, READOUTS[i].get()));
+    drawHistory();
+  }
+
+  function drawHistory() {
+    const span = { from: spark.last - HISTORY, to: spark.last };
+    spark.series.forEach((s, i) => {
+      if (!sparkShown(i)) return;
+      drawSparkline(spark.canvases[i], s, span);
+      spark.arrows[i].textContent = trendArrow(s, { from: span.from });
+      const { lo, hi } = s.extremes(span.from);
+      if (lo >= 0) {
+        spark.canvases[i].setAttribute('aria-label', 'Last ' + HISTORY + ' s: low '
+          + READOUTS[i].format(s.value(lo)) + ', high ' + READOUTS[i].format(s.value(hi)));
+      }
+    });
+  }
+
+  if (spark) {
+    remember(spark.toggle);
+    spark.rows.forEach((row, i) => {
+      const canvas = document.createElement('canvas');
+      canvas.className = 'telemetry-spark';
+      canvas.setAttribute('role', 'img');
+      row.after(canvas);
+      spark.canvases.push(canvas);
+      const arrow = document.createElement('span');
+      arrow.className = 'telemetry-trend';
+      arrow.setAttribute('aria-hidden', 'true');
+      telemEls[i].before(arrow);
+      spark.arrows.push(arrow);
+
+      row.setAttribute('role', 'button');
+      row.tabIndex = 0;
+      const open = () => {
+        spark.open[i] = !spark.open[i];
+        showHistory();
+      };
+      row.addEventListener('click', open, { signal });
+      row.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter' && e.key !== ' ') return;
+        e.preventDefault();
+        open();
+      }, { signal });
+    });
+
+    spark.axis.className = 'telemetry-axis';
+    ['−' + HISTORY + ' s', 'now'].forEach((label) => {
+      const span = document.createElement('span');
+      span.textContent = label;
+      spark.axis.appendChild(span);
+    });
+    spark.canvases[spark.canvases.length - 1].after(spark.axis);
+
+    if (spark.toggle) {
+      spark.toggle.hidden = false;
+      spark.toggle.addEventListener('click', () => {
+        spark.all = !spark.all;
+        showHistory();
+      }, { signal });
+    }
+    showHistory();
+  }
+
+  // Put the rows back as the page had them
+  function removeHistory() {
+    spark.canvases.concat(spark.arrows, [spark.axis]).forEach((el) => el.remove());
+    spark.rows.forEach((row) => {
+      ['role', 'tabindex', 'aria-expanded'].forEach((a) => row.removeAttribute(a));
+    });
+    if (spark.toggle) spark.toggle.hidden = true;
+  }
+
+  // SI/IP switch; the choice is shared with the tooltips and kept
+  // between visits (js/units.js)
+  const unitsToggle = telemContainer && interactive ? telemContainer.querySelector('#telem-units') : null;
+
+  function showUnits() {
+    const next = units.system === 'si' ? 'IP' : 'SI';
+    unitsToggle.textContent = UNIT_SYSTEMS[units.system].label;
+    unitsToggle.setAttribute('aria-label', 'Units: ' + unitsToggle.textContent + ', switch to ' + next);
+  }
+
+  if (unitsToggle) {
+    remember(unitsToggle);
+    showUnits();
+    unitsToggle.hidden = false;
+    unitsToggle.addEventListener('click', () => units.toggle(), { signal });
+  }
+
+  // ── HUD clock ──────────────────────────────────────
+  // Hour-of-day slider and month picker for the solar clock, in the
+  // site's standard time, and a play button for a sped-up day cycle.
+  // Picking a month holds the 21st. A loaded weather or results file
+  // brings its own timeline and hides them.
+  const hudEls = telemContainer && interactive && telemContainer.querySelector('#telem-clock') ? {
+    clock: telemContainer.querySelector('#telem-clock'),
+    play: telemContainer.querySelector('#telem-play'),
+    hour: telemContainer.querySelector('#telem-hour'),
+    month: telemContainer.querySelector('#telem-month'),
+    time: telemContainer.querySelector('#telem-time'),
+  } : null;
+
+  // A simulated instant as site time, read through the UTC getters
+  function siteTime(elapsed) {
+    return new Date(simDate(elapsed).getTime() + siteOffset());
+  }
+
+  function syncHudClock(elapsed) {
+    const t = siteTime(elapsed);
+    const pad = (n) => String(n).padStart(2, '0');
+    if (!hudClock.scrubbing) hudEls.hour.value = t.getUTCHours() + t.getUTCMinutes() / 60;
+    hudEls.month.value = t.getUTCMonth();
+    hudEls.time.textContent = MONTHS[t.getUTCMonth()] + ' ' + t.getUTCDate() + ' '
+      + pad(t.getUTCHours()) + ':' + pad(t.getUTCMinutes());
+  }
+
+  function showHudPlaying() {
+    const on = hudClock.mode === 'cycle';
+    hudEls.play.textContent = on ? '❚❚' : '▶';
+    hudEls.play.setAttribute('aria-label', on ? 'Pause day cycle' : 'Play day cycle');
+  }
+
+  // Hold `hour` of the 21st of `month`, or carry on cycling from there
+  function setHudClock(month, hour) {
+    const year = siteTime(lastElapsed).getUTCFullYear();
+    const day = Date.UTC(year, month, 21) - siteOffset();
+    if (day !== hudClock.day) {
+      hudClock.day = day;
+      solarToday = solarDay(new Date(day + 12 * 3600000), site.latitude, site.longitude);
+      setSunPath();
+    }
+    hudClock.hour = hour;
+    hudClock.from = lastElapsed;
+    if (hudClock.mode === 'loop') hudClock.mode = 'held';
+    updateSun(lastElapsed);
+    syncHudClock(lastElapsed);
+    redraw();
+  }
+
+  if (hudEls) {
+    [hudEls.play, hudEls.time].forEach(remember);
+    MONTHS.forEach((name, i) => {
+      const opt = document.createElement('option');
+      opt.value = i;
+      opt.textContent = name;
+      hudEls.month.appendChild(opt);
+    });
+    hudEls.clock.hidden = false;
+    syncHudClock(0);
+
+    hudEls.hour.addEventListener('pointerdown', () => { hudClock.scrubbing = true; }, { signal });
+    hudEls.hour.addEventListener('input', () => {
+      setHudClock(+hudEls.month.value, +hudEls.hour.value);
+    }, { signal });
+    hudEls.hour.addEventListener('change', () => { hudClock.scrubbing = false; }, { signal });
+    hudEls.month.addEventListener('change', () => {
+      setHudClock(+hudEls.month.value, +hudEls.hour.value);
+    }, { signal });
+
+    // Playing is asking for motion, so it lifts a reduced-motion pause
+    hudEls.play.addEventListener('click', () => {
+      const t = siteTime(lastElapsed);
+      const hour = t.getUTCHours() + t.getUTCMinutes() / 60;
+      if (hudClock.mode === 'cycle') {
+        hudClock.mode = 'held';
+        setHudClock(t.getUTCMonth(), hour);
+      } else {
+        setHudClock(t.getUTCMonth(), hour);
+        hudClock.mode = 'cycle';
+        if (motion.reduced) motion.set(false);
+      }
+      showHudPlaying();
+    }, { signal });
+  }
+
+  // ── Picking ────────────────────────────────────────
+  // Hovering (or tapping) a string, convection loop or radiation ring
+  // lights up its heat-transfer path, dims the others and names it in a
+  // tooltip with its current value from the envelope model. Picking
+  // waits until everything has faded in.
+  const PICK_AFTER = 3.5;  // s
+  const PICKS = {
+    solar: {
+      title: 'Solar gain',
+      text: 'Sunlight absorbed by the roof and walls, arriving from the sun\'s position.',
+      value: () => units.format('flux', hud.solar) + ' absorbed',
+      channels: [CH.SOLAR, CH.ROOF],
+    },
+    conduction: {
+      title: 'Envelope conduction',
+      text: 'Heat conducted through the walls and roof between the room and outdoors.',
+      value: () => units.format('flux', hud.conduction, { signed: true }) + ' into the room',
+      channels: [CH.COLD],
+    },
+    ground: {
+      title: 'Ground coupling',
+      text: 'Heat exchanged with the soil through the floor slab.',
+      value: () => units.format('flux', hud.ground, { signed: true }) + ' into the room',
+      channels: [CH.GROUND],
+    },
+    internal: {
+      title: 'Internal gains',
+      text: 'Heat given off indoors by people, lights and equipment.',
+      value: () => units.format('flux', gains) + ' of floor',
+      channels: [CH.HEAT],
+    },
+    convection: {
+      title: 'Convection',
+      text: 'Room air circulating past the inside surfaces, carrying heat to and from them.',
+      value: () => 'Surfaces ' + units.format('temperature', hud.insideTemp)
+        + ', air ' + units.format('temperature', T_INDOOR),
+      channels: [CH.CONVECTION],
+    },
+  };
+
+  const raycaster = new THREE.Raycaster();
+  raycaster.params.Line.threshold = 0.12;
+  const pointer = { ndc: new THREE.Vector2(), x: 0, y: 0, over: false, moved: false };
+  let picked = null;
+
+  const tip = interactive ? document.createElement('div') : null;
+  if (tip) {
+    tip.className = 'hero-tip';
+    tip.setAttribute('role', 'tooltip');
+    tip.hidden = true;
+    root.appendChild(tip);
+  }
+
+  // The line of a batch holding vertex `index`
+  function lineAt(b, index) {
+    const ranges = b.userData.lines;
+    let i = 0;
+    while (i + 1 < ranges.length && ranges[i + 1].start <= index) i++;
+    return i;
+  }
+
+  function pick() {
+    pointer.moved = false;
+    let next = null;
+    if (pointer.over && lastElapsed > PICK_AFTER && !(orbit && orbit.dragging)) {
+      raycaster.setFromCamera(pointer.ndc, camera);
+      const hit = raycaster.intersectObjects([flows, convection, rings], false)
+        .find((h) => h.object.userData.picks[lineAt(h.object, h.index)]);
+      if (hit) next = hit.object.userData.picks[lineAt(hit.object, hit.index)];
+    }
+    if (next === picked) return;
+    picked = next;
+    canvas.style.cursor = picked ? 'help' : '';
+    showTip();
+    redraw();
+  }
+
+  function highlight(channels) {
+    const lit = PICKS[picked].channels;
+    Object.keys(PICKS).forEach((k) => PICKS[k].channels.forEach((ch) => {
+      if (lit.includes(ch)) channels[ch].multiplyScalar(1.6);
+      else channels[ch].y *= 0.35;
+    }));
+  }
+
+  function showTip() {
+    tip.hidden = !picked;
+    if (!picked) return;
+    const { title, text, value } = PICKS[picked];
+    tip.textContent = '';
+    [['hero-tip-title', title], ['hero-tip-text', text], ['hero-tip-value', value()]].forEach(([cls, t]) => {
+      const el = document.createElement('span');
+      el.className = cls;
+      el.textContent = t;
+      tip.appendChild(el);
+    });
+    // Beside the pointer, flipped to stay inside the hero
+    const box = root.getBoundingClientRect();
+    const left = pointer.x - box.left + 16;
+    const top = pointer.y - box.top + 16;
+    tip.style.left = (left + tip.offsetWidth > box.width ? left - tip.offsetWidth - 32 : left) + 'px';
+    tip.style.top = (top + tip.offsetHeight > box.height ? top - tip.offsetHeight - 32 : top) + 'px';
+  }
+
+  function pointAt(e) {
+    const rect = canvas.getBoundingClientRect();
+    pointer.ndc.set(
+      (e.clientX - rect.left) / rect.width * 2 - 1,
+      1 - (e.clientY - rect.top) / rect.height * 2
+    );
+    pointer.x = e.clientX;
+    pointer.y = e.clientY;
+    pointer.over = pointer.moved = true;
+    redraw();
+  }
+
+  // ── Explore mode ───────────────────────────────────
+  // The Explore toggle hands the camera to orbit/zoom/pan controls
+  // (js/orbit.js) and fades the hero copy out of the way; leaving, or a
+  // double click, glides the camera back home. Off, the canvas leaves
+  // touches and the wheel to the page.
+  const exploreToggle = interactive ? byId('hero-explore') : null;
+  const orbit = exploreToggle ? createOrbit(camera, canvas, { signal, onChange: () => redraw() }) : null;
+
+  function setExploring(on) {
+    orbit.setEnabled(on, HOME.target);
+    if (on) mouse.tx = mouse.ty = 0;
+    else orbit.moveTo(HOME.position, HOME.target);
+    root.classList.toggle('exploring', on);
+    exploreToggle.textContent = on ? 'Done' : 'Explore';
+    exploreToggle.setAttribute('aria-pressed', on);
+    redraw();
+  }
+
+  if (exploreToggle) {
+    remember(exploreToggle);
+    exploreToggle.hidden = false;
+    exploreToggle.addEventListener('click', () => setExploring(!orbit.enabled), { signal });
+    canvas.addEventListener('dblclick', () => {
+      if (orbit.enabled) orbit.moveTo(HOME.position, HOME.target);
+    }, { signal });
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && orbit.enabled) setExploring(false);
+    }, { signal });
+  }
+
+  // ── Scroll storyboard ──────────────────────────────
+  // Past the hero the scene stays behind the page as a fixed backdrop
+  // (html.hero-story) and scrolling takes it through the shots of
+  // js/story.js, anchored on the page's data-story elements. With
+  // reduced motion it scrolls away with the hero as before.
+  const storyEls = interactive ? Array.from(document.querySelectorAll('[data-story]')) : [];
+  const HERO_VIEW = [{ y: 0, shot: SHOTS.hero }];
+  const story = { active: false, anchors: HERO_VIEW, view: storyView(HERO_VIEW, 0) };
+  const storyTarget = new THREE.Vector3();
+
+  function updateStory() {
+    const active = storyEls.length > 1 && running.motion;
+    if (active !== story.active) {
+      story.active = active;
+      story.anchors = active ? storyAnchors(storyEls) : HERO_VIEW;
+      document.documentElement.classList.toggle('hero-story', active);
+      if (!active && !(orbit && orbit.enabled)) {
+        camera.position.copy(HOME.position);
+        camera.lookAt(HOME.target);
+      }
+    }
+    storyView(story.anchors, active ? sy : 0, story.view);
+
+    // Nothing left to draw once the scene has faded out behind the
+    // page: paint that last frame and stop
+    const faded = active && story.view.backdrop <= 0;
+    if (faded !== running.faded) {
+      running.faded = faded;
+      if (faded && !running.contextLost) draw(lastElapsed);
+      updateRunning();
+    }
+  }
+
+  // Layout shifts (fonts, images, a new viewport) move the anchors
+  function measureStory() {
+    if (!story.active) return;
+    story.anchors = storyAnchors(storyEls);
+    updateStory();
+  }
+
+  if (storyEls.length) {
+    window.addEventListener('resize', measureStory, { signal });
+    window.addEventListener('load', measureStory, { signal });
+  }
+
+  // ── RENDER LOOP ────────────────────────────────────
+  let prevTs = null;
+
+  function loop(ts) {
+    running.frame = requestAnimationFrame(loop);
+    if (prevTs !== null) {
+      clock += ts - prevTs;
+      // Quality governor
+      if (tier === undefined && governor.sample(ts - prevTs)) applyQuality();
+    }
+    prevTs = ts;
+    draw(clock / 1000);
+  }
+
+  // One frame at `elapsed` seconds. Still frames (reduced motion) skip
+  // the drift: no parallax, breathing or floating particles, and the
+  // world is turned to a fixed three-quarter view.
+  function draw(elapsed, moving = running.motion) {
+    // Smooth mouse
+    mouse.x += (mouse.tx - mouse.x) * 0.025;
+    mouse.y += (mouse.ty - mouse.y) * 0.025;
+
+    // Weather clock
+    if (moving && replay.count && replay.playing && !replay.scrubbing) {
+      replay.hour = (replay.hour + (elapsed - lastElapsed) * HOURS_PER_SECOND) % replay.count;
+    }
+    lastElapsed = elapsed;
+
+    // Line shader clock; string brightness follows the climate
+    const channels = lineUniforms.uChannels.value;
+    lineUniforms.uTime.value = elapsed;
+    channels[CH.HEAT].set(climate.heat, 1);
+    channels[CH.SOLAR].set(climate.heat, climate.sun);
+    channels[CH.COLD].set(climate.cold, 1);
+    channels[CH.GROUND].set(climate.cold, 1);
+    channels[CH.CONVECTION].set(1, 1);
+    channels[CH.ROOF].set(1, 0.25 + 0.75 * climate.sun);
+
+    // Layers the storyboard brings forward or holds back
+    const { flows: flowsShown, zones, grid, sunPath: sunShown } = story.view;
+    [CH.HEAT, CH.SOLAR, CH.COLD, CH.GROUND, CH.ROOF].forEach((ch) => { channels[ch].y *= flowsShown; });
+    channels[CH.CONVECTION].y *= zones;
+    channels[CH.ZONES].set(1, zones);
+    channels[CH.GRID].set(1, grid);
+    channels[CH.SUN_PATH].set(1, sunShown);
+
+    if (moving) moveParticles(elapsed);
+    moveScan(elapsed);
+
+    // Gentle rotation + mouse parallax, and subtle breathing
+    if (moving) {
+      world.rotation.y = Math.sin(elapsed * 0.08) * 0.35 + mouse.x * 0.12;
+      world.rotation.x = Math.sin(elapsed * 0.06) * 0.06 + mouse.y * 0.06 - 0.08;
+      const br = 1 + Math.sin(elapsed * 0.4) * 0.008;
+      shoebox.scale.set(br, br, br);
+    } else {
+      world.rotation.set(STILL_TILT, STILL_TURN, 0);
+      shoebox.scale.set(1, 1, 1);
+    }
+
+    world.position.x = sceneOffsetX;
+
+    // Envelope pulse — gentle oscillating brightness, spread by the bloom
+    channels[CH.ENVELOPE].y = 0.85 + Math.sin(elapsed * 0.6) * 0.15;
+
+    // Scroll: the storyboard's view, or parallax & fade
+    let scrollFade;
+    if (story.active) {
+      scrollFade = story.view.backdrop;
+      world.position.y = 0;
+      if (!(orbit && (orbit.enabled || orbit.moving))) {
+        camera.position.fromArray(story.view.position);
+        camera.lookAt(storyTarget.fromArray(story.view.target));
+      }
+    } else {
+      scrollFade = Math.max(0, 1 - sy / (window.innerHeight * 0.55));
+      world.position.y = -sy * 0.0015;
+    }
+    lineUniforms.uScroll.value = scrollFade;
+    particles.material.opacity = fadeIn(particles.userData, elapsed) * scrollFade;
+
+    // ── Sun & telemetry HUD ──
+    const hudTick = (++telemFrame & 3) === 0 || !moving;
+    if (hudTick) {
+      updateSun(elapsed);
+      if (replay.count) syncTimeline();
+      if (replay.results) paintResults();
+    }
+    if (telemEls && elapsed > 2.0 && hudTick) {
+      showTelemetry();
+      if (spark) sampleHistory(elapsed);
+    }
+    if (hudEls && hudTick && !replay.count) syncHudClock(elapsed);
+    if (telemContainer) {
+      if (elapsed > 2.4 && !telemContainer.classList.contains('visible')) {
+        telemContainer.classList.add('visible');
+      }
+      // Brighter while the clock or history is in use
+      const inUse = (hudEls || spark) && (telemContainer.matches(':hover, :focus-within') || (spark && spark.all));
+      telemContainer.style.opacity = scrollFade * (inUse ? 0.9 : 0.55);
+    }
+
+    if (replay.results) resultsLegend.style.opacity = scrollFade;
+    if (qualityOverlay && ((telemFrame & 31) === 0 || !moving)) showQuality();
+
+    // The scene turns under a resting pointer too
+    if (orbit && orbit.moving) orbit.update(!moving);
+
+    if (tip && (pointer.moved || (pointer.over && hudTick))) pick();
+    if (picked) {
+      highlight(channels);
+      if (hudTick) showTip();
+    }
+
+    post.render(scene, camera, elapsed);
+  }
+
+  // ── Quality tiers ──────────────────────────────────
+  // The governor moved to another tier: resize the drawing buffer, trim
+  // the batches and, when the string resolution changed, rebuild the
+  // strings in place (already faded in)
+  function applyQuality() {
+    const prev = quality;
+    quality = TIERS[governor.tier];
+    renderer.setPixelRatio(pixelRatio || Math.min(window.devicePixelRatio, quality.pixelRatio));
+    post.setLevel(bloom ? quality.bloom : 'off');
+    renderer.getSize(postSize);
+    post.setSize(postSize.x, postSize.y);
+    applyLineCounts();
+    if (quality.stringSegs !== prev.stringSegs) rebuildStrings();
+  }
+
+  function rebuildStrings() {
+    const offset = convection.material.uniforms.uDelayOffset.value;
+    [flows, convection].forEach((b) => {
+      world.remove(b);
+      disposeLineBatch(b);
+    });
+    buildFlows();
+    convection = batch(buildConvectionArcs(building), true, 4);
+    convection.material.uniforms.uDelayOffset.value = offset;
+    world.add(flows);
+    world.add(convection);
+    aimSolarRays(flows, solarRays, sun.dir);
+  }
+
+  // ?debug shows the current tier and frame rate
+  const qualityOverlay = interactive && /[?&]debug\b/.test(window.location.search)
+    ? document.createElement('div') : null;
+  if (qualityOverlay) {
+    qualityOverlay.className = 'quality-overlay';
+    root.appendChild(qualityOverlay);
+  }
+
+  function showQuality() {
+    qualityOverlay.textContent = quality.name + ' · ' + Math.round(governor.fps) + ' fps · ' +
+      renderer.getPixelRatio() + 'x · bloom ' + post.level;
+  }
+
+  // ── Pausing ────────────────────────────────────────
+  // The loop stops while the hero is scrolled out of view, the tab is
+  // hidden or the battery is low and unplugged. The clock only counts
+  // rendered frames, so on resume nothing jumps or fades in again.
+  // With reduced motion the loop stays stopped and redraw() paints a
+  // single composed still frame instead.
+  const LOW_BATTERY = 0.2;
+  const running = {
+    frame: 0, still: 0, paused: false,  // paused: by the controller
+    onscreen: true, visible: true, battery: true, motion: !motion.reduced,
+    contextLost: false, faded: false,  // faded: by the storyboard
+  };
+
+  function updateRunning() {
+    const run = running.onscreen && running.visible && running.battery && running.motion
+      && !running.paused && !running.contextLost && !running.faded;
+    if (run && !running.frame) {
+      prevTs = null;
+      running.frame = requestAnimationFrame(loop);
+    } else if (!run && running.frame) {
+      cancelAnimationFrame(running.frame);
+      running.frame = 0;
+    }
+    if (!running.motion) redraw();
+  }
+
+  // Repaint the still frame after something changed (scroll, a loaded
+  // file, scrubbing); no-op while the loop runs
+  function redraw() {
+    if (running.frame || running.still || !running.onscreen || running.contextLost
+      || running.paused) return;
+    running.still = requestAnimationFrame(() => {
+      running.still = 0;
+      clock = Math.max(clock, STILL_AT * 1000);
+      draw(clock / 1000);
+    });
+  }
+
+  // Pause toggle, for the same still frame without the OS setting
+  const motionToggle = interactive ? byId('hero-motion') : null;
+
+  function showMotion() {
+    motionToggle.textContent = motion.reduced ? '▶' : '❚❚';
+    motionToggle.setAttribute('aria-label', motion.reduced ? 'Play animation' : 'Pause animation');
+  }
+
+  if (motionToggle) {
+    remember(motionToggle);
+    showMotion();
+    motionToggle.hidden = false;
+    motionToggle.addEventListener('click', () => motion.set(!motion.reduced), { signal });
+  }
+
+  const offMotion = motion.onChange((reduced) => {
+    running.motion = !reduced;
+    updateStory();
+    updateRunning();
+    if (motionToggle) showMotion();
+  });
+
+  const offUnits = units.onChange(() => {
+    if (unitsToggle) showUnits();
+    if (telemEls && telemContainer.classList.contains('visible')) showTelemetry();
+    if (spark) drawHistory();
+    if (picked) showTip();
+  });
+
+  const onscreen = 'IntersectionObserver' in window
+    ? new IntersectionObserver((entries) => {
+      running.onscreen = entries[entries.length - 1].isIntersecting;
+      updateRunning();
+    }) : null;
+  if (onscreen) onscreen.observe(canvas);
+
+  document.addEventListener('visibilitychange', () => {
+    running.visible = document.visibilityState !== 'hidden';
+    updateRunning();
+  }, { signal });
+
+  // Battery Status API (Chromium only); there is no portable signal for
+  // the OS power saver, so a low, discharging battery stands in for it
+  if (navigator.getBattery) {
+    navigator.getBattery().then((battery) => {
+      if (signal.aborted) return;
+      const check = () => {
+        running.battery = battery.charging || battery.level > LOW_BATTERY;
+        updateRunning();
+      };
+      battery.addEventListener('chargingchange', check, { signal });
+      battery.addEventListener('levelchange', check, { signal });
+      check();
+    }).catch(() => {});
+  }
+
+  // ── WebGL context loss ─────────────────────────────
+  // A GPU reset loses every buffer and program. The loop stops (and
+  // with it the clock) until the context is restored, then the scene is
+  // rebuilt from the builders and carries on where it left off. After
+  // MAX_LOSSES losses, or a restore that never comes, the hero moves to
+  // the 2D fallback for good.
+  const MAX_LOSSES = 3;
+  const RESTORE_WAIT = 5000;  // ms
+  const contextLoss = { count: 0, timer: 0 };
+  let fallback = null;
+
+  canvas.addEventListener('webglcontextlost', (e) => {
+    e.preventDefault();  // ask for the context back
+    running.contextLost = true;
+    updateRunning();
+    contextLoss.count++;
+    if (contextLoss.count >= MAX_LOSSES) fallBack();
+    else contextLoss.timer = setTimeout(fallBack, RESTORE_WAIT);
+  }, { signal });
+
+  canvas.addEventListener('webglcontextrestored', () => {
+    clearTimeout(contextLoss.timer);
+    disposeScene();
+    buildScene();
+    aimSolarRays(flows, solarRays, sun.dir);
+    if (replay.results) paintResults(true);
+    running.contextLost = false;
+    updateRunning();
+  }, { signal });
+
+  // A canvas that has had a WebGL context can't give a 2D one, so the
+  // fallback draws on a fresh copy
+  function fallBack() {
+    teardown();
+    const fresh = canvas.cloneNode(false);
+    canvas.replaceWith(fresh);
+    fallback = createFallback(fresh);
+  }
+
+  // Put the controls and HUD back as the page had them before
+  // createHeroScene(), so another scene can take them over
+  function restorePage() {
+    [filesEl, motionToggle, exploreToggle, unitsToggle].forEach((el) => { if (el) el.hidden = true; });
+    if (filesEl) {
+      sampleOptions.forEach((opt) => opt.remove());
+      resultsVariable.textContent = '';
+      [resultsVariable, resultsLegend, weatherTimeline].forEach((el) => { el.hidden = true; });
+      resultsLegend.style.opacity = '';
+      root.classList.remove('dragging');
+    }
+    pageState.forEach(({ text, attrs }, el) => {
+      el.textContent = text;
+      attrs.forEach(([a, v]) => (v === null ? el.removeAttribute(a) : el.setAttribute(a, v)));
+    });
+    if (hudEls) {
+      hudEls.clock.hidden = true;
+      hudEls.month.textContent = '';
+    }
+    if (spark) removeHistory();
+    if (telemContainer) {
+      telemContainer.classList.remove('visible');
+      telemContainer.style.opacity = '';
+    }
+    // renderer.setSize() wrote the canvas's CSS size inline
+    canvas.style.cursor = canvas.style.width = canvas.style.height = '';
+  }
+
+  // Stop drawing and free everything the scene holds on the GPU and in
+  // the page; the canvas stays where it was
+  function teardown() {
+    listeners.abort();
+    offMotion();
+    offUnits();
+    if (onscreen) onscreen.disconnect();
+    clearTimeout(contextLoss.timer);
+    cancelAnimationFrame(running.frame);
+    cancelAnimationFrame(running.still);
+    running.frame = running.still = 0;
+    running.paused = true;
+
+    if (orbit) {
+      orbit.setEnabled(false);
+      root.classList.remove('exploring');
+    }
+    document.documentElement.classList.remove('hero-story');
+    disposeScene();
+    renderer.dispose();
+    if (qualityOverlay) qualityOverlay.remove();
+    if (tip) tip.remove();
+    restorePage();
+  }
+
+  // ── Building model ─────────────────────────────────
+  // Swap the drawn building for a loaded model; the envelope, zones,
+  // rings, flows and convection loops rebuild and fade in from the
+  // current moment. Their glow is the bloom and tone-mapping pass over
+  // the whole frame, so it follows the new lines with nothing to rebuild
+  function setBuilding(model) {
+    building = model;
+    envelope.areas = envelopeAreas(model);
+    bounds = buildingBounds(model);
+    wind.setObstacle(bounds);
+    [rings, shoebox, interior, convection, flows].forEach((b) => {
+      world.remove(b);
+      disposeLineBatch(b);
+    });
+
+    buildModelBatches(model);
+    buildFlows();
+    world.add(flows);
+    aimSolarRays(flows, solarRays, sun.dir);
+    [rings, shoebox, interior, convection, flows].forEach((b) => {
+      b.material.uniforms.uDelayOffset.value = lastElapsed - (running.motion ? 0.4 : STILL_AT);
+    });
+    applyLineCounts();
+    redraw();
+    if (replay.results) paintResults(true);
+  }
+
+  // ── Data files UI ──────────────────────────────────
+  // Drop an EPW, IDF, epJSON or results file anywhere on the hero, pick
+  // one, or load one of the small sample weather files in data/. The
+  // samples are synthetic (three days a month, each its own data
+  // period, from climate normals and a clear-sky model), small enough
+  // to ship with the site
+  const EPW_SAMPLES = [
+    { name: 'Montréal, QC (synthetic)', file: 'data/montreal-sample.epw' },
+    { name: 'Phoenix, AZ (synthetic)', file: 'data/phoenix-sample.epw' },
+  ];
+
+  const filesEl = interactive ? byId('hero-files') : null;
+  const fileStatus = byId('hero-files-status');
+  const weatherFile = byId('weather-file');
+  const weatherPick = byId('weather-pick');
+  const weatherSample = byId('weather-sample');
+  const modelFile = byId('model-file');
+  const modelPick = byId('model-pick');
+  const resultsFile = byId('results-file');
+  const resultsPick = byId('results-pick');
+  const resultsVariable = byId('results-variable');
+  const resultsLegend = byId('results-legend');
+  const weatherTimeline = byId('weather-timeline');
+  const weatherPlay = byId('weather-play');
+  const weatherScrub = byId('weather-scrub');
+  const weatherTime = byId('weather-time');
+  const weatherMonths = weatherTimeline && weatherTimeline.querySelector('.weather-months');
+
+  // First record on `date`'s day ending after its hour, or -1
+  function recordAt(hours, count, date) {
+    if (!hours) return -1;
+    const { month, day, hour } = hours;
+    for (let i = 0; i < count; i++) {
+      if (month[i] === date.getMonth() + 1 && day[i] === date.getDate() && hour[i] > date.getHours()) return i;
+    }
+    return -1;
+  }
+
+  // Open on today's date, mid-morning (records ending 10:00 or later)
+  function startHour(hours, count) {
+    if (!hours) return 0;
+    const morning = new Date();
+    morning.setHours(9);
+    const i = recordAt(hours, count, morning);
+    return i >= 0 ? i : Math.min(9, count - 1);
+  }
+
+  // EPW records are labelled by their start hour; results by the
+  // timestamp EnergyPlus wrote, the end of the interval
+  function timeLabel(i) {
+    const pad = (n) => String(n).padStart(2, '0');
+    if (replay.epw) {
+      const { month, day, hour } = replay.epw.hours;
+      return MONTHS[month[i] - 1] + ' ' + day[i] + ' ' + pad(hour[i] - 1) + ':00';
+    }
+    const { hours } = replay.results;
+    if (!hours) return 'Step ' + (i + 1);
+    return MONTHS[hours.month[i] - 1] + ' ' + hours.day[i] + ' '
+      + pad(hours.hour[i]) + ':' + pad(hours.minute[i]);
+  }
+
+  function syncTimeline() {
+    const i = Math.floor(replay.hour);
+    if (!replay.scrubbing) weatherScrub.value = i;
+    weatherTime.textContent = timeLabel(i);
+  }
+
+  function setPlaying(playing) {
+    replay.playing = playing;
+    weatherPlay.textContent = playing ? '❚❚' : '▶';
+    weatherPlay.setAttribute('aria-label', playing ? 'Pause replay' : 'Play replay');
+  }
+
+  function showTimeline(count) {
+    replay.count = count;
+    if (hudEls) hudEls.clock.hidden = true;
+    weatherScrub.max = count - 1;
+    weatherMonths.hidden = count < 8760;
+    weatherTimeline.hidden = false;
+    setPlaying(true);
+    syncTimeline();
+  }
+
+  function loadWeather(text) {
+    const epw = parseEPW(text);
+    replay.epw = epw;
+    replay.hour = startHour(epw.hours, epw.count);
+    groundTemp = epw.hours.dryBulb.reduce((sum, t) => sum + t, 0) / epw.count;
+    site.latitude = epw.location.latitude;
+    site.longitude = epw.location.longitude;
+    solarToday = solarDay(clockDate(lastElapsed), site.latitude, site.longitude);
+    setSunPath();
+    // Solar rays move to the windows facing this hemisphere's sun
+    if (building.windows.length) rebuildStrings();
+
+    fileStatus.textContent = epwLabel(epw.location);
+    showTimeline(epw.count);
+  }
+
+  // Legend titles drop the words every surface variable shares
+  function variableTitle(name) {
+    return name.replace(/^Surface /, '').replace(/ Rate per Area$/, '');
+  }
+
+  function showResultsVariable(variable) {
+    const range = resultsRange(variable);
+    resultsView.variable = variable;
+    resultsView.range = range;
+    resultsView.colormap = range.diverging ? 'coolwarm' : 'viridis';
+
+    const title = variableTitle(variable.name);
+    resultsLegend.hidden = false;
+    drawColorbar(resultsLegend, resultsView.colormap,
+      { min: range.min, max: range.max, title, units: 'W/m²' });
+    resultsLegend.setAttribute('aria-label', title + ' color scale, '
+      + range.min.toFixed(1) + ' to ' + range.max.toFixed(1) + ' W/m²');
+    paintResults(true);
+
+    // How much of the drawn model the results cover
+    const names = new Set();
+    shoeboxEdges.forEach(({ spans }) => spans.forEach((span) =>
+      span.surfaces.forEach((n) => names.add(n.toUpperCase()))));
+    const matched = Array.from(names).filter((n) => variable.series.has(n)).length;
+    fileStatus.textContent = title + ' · ' + matched + ' of ' + names.size + ' surfaces';
+    redraw();
+  }
+
+  function loadResults(results) {
+    replay.results = results;
+    if (!replay.epw) {
+      replay.hour = startHour(results.hours, results.count);
+      showTimeline(results.count);
+    }
+
+    resultsVariable.textContent = '';
+    results.variables.forEach((v, i) => {
+      const opt = document.createElement('option');
+      opt.value = i;
+      opt.textContent = variableTitle(v.name);
+      resultsVariable.appendChild(opt);
+    });
+    resultsVariable.hidden = results.variables.length < 2;
+    showResultsVariable(results.variables[0]);
+  }
+
+  function loadModel(description) {
+    const model = normalizeBuilding(description);
+    setBuilding(model);
+    fileStatus.textContent = model.name + ' · ' + model.zones.length + ' zones, '
+      + model.surfaces.length + ' surfaces';
+  }
+
+  function readData(text, name, load) {
+    fileStatus.textContent = 'Reading ' + name + '…';
+    text
+      .then(load)
+      .then(redraw)
+      .catch((err) => { fileStatus.textContent = err.message || 'Could not read ' + name; });
+  }
+
+  function readFile(file) {
+    if (/\.epw$/i.test(file.name)) readData(file.text(), file.name, loadWeather);
+    else if (/\.idf$/i.test(file.name)) readData(file.text(), file.name, (t) => loadModel(idfBuilding(t)));
+    else if (/\.epjson$/i.test(file.name)) readData(file.text(), file.name, (t) => loadModel(epjsonBuilding(t)));
+    else if (/\.csv$/i.test(file.name)) readData(file.text(), file.name, (t) => loadResults(parseResultsCSV(t)));
+    else if (/\.json$/i.test(file.name)) readData(file.text(), file.name, (t) => loadResults(parseResultsJSON(t)));
+    else fileStatus.textContent = 'Expected an .epw, .idf, .epJSON, .csv or .json file';
+  }
+
+  // Added to the sample picker; dispose() takes them out again
+  const sampleOptions = [];
+
+  if (filesEl) {
+    EPW_SAMPLES.forEach(({ name, file }) => {
+      const opt = document.createElement('option');
+      opt.value = file;
+      opt.textContent = name;
+      weatherSample.appendChild(opt);
+      sampleOptions.push(opt);
+    });
+    [fileStatus, weatherPlay, weatherTime].forEach(remember);
+    filesEl.hidden = false;
+
+    [[weatherPick, weatherFile], [modelPick, modelFile], [resultsPick, resultsFile]].forEach(([pick, input]) => {
+      pick.addEventListener('click', () => input.click(), { signal });
+      input.addEventListener('change', () => {
+        if (input.files[0]) readFile(input.files[0]);
+        input.value = '';
+      }, { signal });
+    });
+
+    weatherSample.addEventListener('change', () => {
+      const opt = weatherSample.selectedOptions[0];
+      if (!opt || !opt.value) return;
+      readData(fetch(opt.value).then((r) => {
+        if (!r.ok) throw new Error('Sample download failed (' + r.status + ')');
+        return r.text();
+      }), opt.textContent, loadWeather);
+    }, { signal });
+
+    resultsVariable.addEventListener('change', () => {
+      showResultsVariable(replay.results.variables[+resultsVariable.value]);
+    }, { signal });
+
+    weatherPlay.addEventListener('click', () => setPlaying(!replay.playing), { signal });
+
+    weatherScrub.addEventListener('pointerdown', () => { replay.scrubbing = true; }, { signal });
+    weatherScrub.addEventListener('input', () => {
+      replay.hour = +weatherScrub.value;
+      updateSun(lastElapsed);
+      syncTimeline();
+      if (replay.results) paintResults();
+      redraw();
+    }, { signal });
+    weatherScrub.addEventListener('change', () => { replay.scrubbing = false; }, { signal });
+
+    root.addEventListener('dragover', (e) => {
+      if (!e.dataTransfer || !Array.from(e.dataTransfer.types).includes('Files')) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+      root.classList.add('dragging');
+    }, { signal });
+    root.addEventListener('dragleave', (e) => {
+      if (!root.contains(e.relatedTarget)) root.classList.remove('dragging');
+    }, { signal });
+    root.addEventListener('drop', (e) => {
+      const file = e.dataTransfer && e.dataTransfer.files[0];
+      root.classList.remove('dragging');
+      if (!file) return;
+      e.preventDefault();
+      readFile(file);
+    }, { signal });
+  }
+
+  updateSun(0);
+  updateStory();
+  updateRunning();
+
+  // ── Events ─────────────────────────────────────────
+  if (interactive) {
+    window.addEventListener('mousemove', (e) => {
+      if (orbit && orbit.enabled) return;  // the camera moves instead
+      mouse.tx = (e.clientX / window.innerWidth - 0.5) * 2;
+      mouse.ty = (e.clientY / window.innerHeight - 0.5) * 2;
+    }, { signal });
+
+    window.addEventListener('scroll', () => {
+      sy = window.scrollY;
+      if (orbit && orbit.enabled && sy > window.innerHeight / 2) setExploring(false);
+      updateStory();
+      redraw();
+    }, { passive: true, signal });
+
+    // Taps pick too; the tooltip stays until the next tap
+    canvas.addEventListener('pointermove', pointAt, { signal });
+    canvas.addEventListener('pointerdown', pointAt, { signal });
+    canvas.addEventListener('pointerleave', (e) => {
+      if (e.pointerType !== 'mouse') return;
+      pointer.over = false;
+      pointer.moved = true;
+      redraw();
+    }, { signal });
+  }
+
+  // ── Device orientation ─────────────────────────────
+  // On phones, tilting stands in for the mouse. Angles count from how
+  // the phone was held at the first reading (taken again after the
+  // screen rotates or explore mode ends), TILT_RANGE degrees either way
+  // being full parallax. iOS asks permission first, which takes a tap:
+  // the first one on the hero. Without the sensor or the permission the
+  // scene just turns on its own.
+  const TILT_RANGE = 20;  // deg
+  const tilt = { base: null };
+  const Orientation = window.DeviceOrientationEvent;
+
+  function onTilt(e) {
+    if (e.beta === null || e.gamma === null) return;
+    if (orbit && orbit.enabled) {
+      tilt.base = null;
+      return;
+    }
+    // Tilt along the screen's axes, whichever way up it is
+    const { orientation } = window.screen;
+    const angle = orientation ? orientation.angle : window.orientation || 0;
+    let x = e.gamma, y = e.beta;
+    if (angle === 90) [x, y] = [e.beta, -e.gamma];
+    else if (angle === 270 || angle === -90) [x, y] = [-e.beta, e.gamma];
+
+    if (!tilt.base) tilt.base = { x, y };
+    mouse.tx = THREE.MathUtils.clamp((x - tilt.base.x) / TILT_RANGE, -1, 1);
+    mouse.ty = THREE.MathUtils.clamp((y - tilt.base.y) / TILT_RANGE, -1, 1);
+  }
+
+  if (interactive && Orientation) {
+    const listen = () => window.addEventListener('deviceorientation', onTilt, { signal });
+    if (typeof Orientation.requestPermission === 'function') {
+      root.addEventListener('click', () => {
+        Orientation.requestPermission()
+          .then((state) => { if (state === 'granted' && !signal.aborted) listen(); })
+          .catch(() => {});
+      }, { once: true, signal });
+    } else {
+      listen();
+    }
+
+    const recalibrate = () => { tilt.base = null; };
+    if (window.screen.orientation) window.screen.orientation.addEventListener('change', recalibrate, { signal });
+    else window.addEventListener('orientationchange', recalibrate, { signal });
+  }
+
+  function resize(w = hostSize(canvas).width, h = hostSize(canvas).height) {
+    camera.aspect = w / h;
+    camera.updateProjectionMatrix();
+    renderer.setSize(w, h);
+    post.setSize(w, h);
+    redraw();
+  }
+
+  if (autoResize) watchHostSize(canvas, () => resize(), signal);
+
+  // ── Controller ─────────────────────────────────────
+  // Hands over to the 2D fallback's controller once WebGL is given up
+  return {
+    pause() {
+      if (fallback) return fallback.pause();
+      running.paused = true;
+      // A still frame already queued would paint over renderAt()
+      cancelAnimationFrame(running.still);
+      running.still = 0;
+      updateRunning();
+    },
+
+    resume() {
+      if (fallback) return fallback.resume();
+      running.paused = false;
+      updateRunning();
+    },
+
+    resize(w, h) {
+      if (fallback) return fallback.resize(w, h);
+      resize(w, h);
+    },
+
+    // Jump the clock to `date`: the matching record of a loaded weather
+    // or results file, otherwise that moment of the day on the solar
+    // clock (held to daylight)
+    setTime(date) {
+      if (fallback) return fallback.setTime(date);
+      if (replay.count) {
+        const hours = replay.epw ? replay.epw.hours : replay.results.hours;
+        const i = recordAt(hours, replay.count, date);
+        if (i >= 0) replay.hour = i;
+      } else {
+        hudClock.mode = 'loop';
+        if (hudEls) showHudPlaying();
+        setSimDate(date, lastElapsed);
+        setSunPath();
+      }
+      updateSun(lastElapsed);
+      if (replay.count && filesEl) syncTimeline();
+      if (replay.results) paintResults(true);
+      redraw();
+    },
+
+    // Draw the moment `elapsed` seconds in, as the running loop would,
+    // whatever the loop is doing; with a seed and date, the same pixels
+    // every time
+    renderAt(elapsed) {
+      if (fallback) return fallback.renderAt(elapsed);
+      clock = elapsed * 1000;
+      lastElapsed = elapsed;
+      updateSun(elapsed);
+      draw(elapsed, true);
+    },
+
+    dispose() {
+      if (fallback) fallback.dispose();
+      else teardown();
+    },
+  };
+}
@@ -0,0 +1,28 @@
+/* ============================================
+   idfkit Landing Page — Host Size
+
+   The size the hero draws at: the box of the
+   element its canvas fills (the canvas's parent,
+   as #hero-canvas fills the hero section), so an
+   embedded scene fits its container rather than
+   the window. The window stands in while the
+   parent has no layout yet.
+   ============================================ */
+
+export function hostSize(canvas) {
+  const host = canvas.parentElement;
+  const w = host ? host.clientWidth : 0, h = host ? host.clientHeight : 0;
+  return w && h ? { width: w, height: h } : { width: window.innerWidth, height: window.innerHeight };
+}
+
+// Calls fn whenever the host's box changes, until `signal` aborts;
+// window resizes where there's no ResizeObserver
+export function watchHostSize(canvas, fn, signal) {
+  if ('ResizeObserver' in window && canvas.parentElement) {
+    const observer = new ResizeObserver(() => fn());
+    observer.observe(canvas.parentElement);
+    signal.addEventListener('abort', () => observer.disconnect());
+  } else {
+    window.addEventListener('resize', () => fn(), { signal });
+  }
+}
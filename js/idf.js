@@ -0,0 +1,117 @@
+/* ============================================
+   idfkit Landing Page — IDF Geometry
+
+   Reads just enough of an EnergyPlus IDF file to
+   draw it: zones, detailed heat transfer surfaces
+   and fenestration. Produces the building
+   description from building.js.
+   ============================================ */
+
+import { fromEnergyPlusAxes, placeZoneVertex } from './building.js';
+
+// Split IDF text into { type, fields } objects; `type` is lower-cased
+export function parseIDF(text) {
+  const objects = [];
+  const body = text.replace(/!.*$/gm, '');
+  body.split(';').forEach((chunk) => {
+    const fields = chunk.split(',').map((f) => f.trim());
+    const type = fields.shift();
+    if (!type) return;
+    objects.push({ type: type.toLowerCase(), fields });
+  });
+  return objects;
+}
+
+function versionOf(objects) {
+  const v = objects.find((o) => o.type === 'version');
+  const m = v && /^(\d+)\.(\d+)/.exec(v.fields[0] || '');
+  return m ? parseInt(m[1], 10) + parseInt(m[2], 10) / 10 : Infinity;
+}
+
+function vertexList(fields, start) {
+  const out = [];
+  for (let i = start; i + 2 < fields.length; i += 3) {
+    const v = [parseFloat(fields[i]), parseFloat(fields[i + 1]), parseFloat(fields[i + 2])];
+    if (v.some((c) => !isFinite(c))) break;
+    out.push(v);
+  }
+  return out;
+}
+
+// Field layouts moved over the supported versions (8.9–25.2): a Space
+// Name field arrived on surfaces in 9.6 and windows lost their
+// Shading Control Name in 9.0.
+function layouts(version) {
+  const space = version >= 9.6 ? 1 : 0;
+  return {
+    'buildingsurface:detailed': { type: 1, zone: 3, boundary: 4 + space, verts: 10 + space },
+    'wall:detailed':            { type: 'wall', zone: 2, boundary: 3 + space, verts: 9 + space },
+    'roofceiling:detailed':     { type: 'roof', zone: 2, boundary: 3 + space, verts: 9 + space },
+    'floor:detailed':           { type: 'floor', zone: 2, boundary: 3 + space, verts: 9 + space },
+    'fenestrationsurface:detailed': { surface: 3, verts: version < 9 ? 10 : 9 },
+  };
+}
+
+export function idfBuilding(text) {
+  const objects = parseIDF(text);
+  const layout = layouts(versionOf(objects));
+
+  const building = objects.find((o) => o.type === 'building');
+  const rules = objects.find((o) => o.type === 'globalgeometryrules');
+  const coords = (rules && rules.fields[2] || 'relative').toLowerCase();
+
+  const zoneMap = new Map();
+  objects.filter((o) => o.type === 'zone').forEach((o) => {
+    zoneMap.set(o.fields[0].toLowerCase(), {
+      name: o.fields[0],
+      north: parseFloat(o.fields[1]) || 0,
+      origin: [parseFloat(o.fields[2]) || 0, parseFloat(o.fields[3]) || 0, parseFloat(o.fields[4]) || 0],
+    });
+  });
+
+  const site = {
+    north: building ? parseFloat(building.fields[1]) || 0 : 0,
+    relative: coords === 'relative',
+  };
+  const place = (zoneName) => {
+    const zone = zoneMap.get((zoneName || '').toLowerCase());
+    return (v) => fromEnergyPlusAxes(placeZoneVertex(v, zone, site));
+  };
+
+  const surfaces = [];
+  const surfaceZone = new Map();
+  objects.forEach((o) => {
+    const l = layout[o.type];
+    if (!l || l.surface !== undefined) return;
+    const type = (typeof l.type === 'number' ? o.fields[l.type] : l.type).toLowerCase();
+    const zoneRef = zoneMap.get((o.fields[l.zone] || '').toLowerCase());
+    const zone = zoneRef ? zoneRef.name : o.fields[l.zone];
+    const vertices = vertexList(o.fields, l.verts).map(place(zone));
+    if (vertices.length < 3) return;
+    surfaces.push({
+      name: o.fields[0],
+      type,
+      zone,
+      boundary: (o.fields[l.boundary] || 'outdoors').toLowerCase(),
+      vertices,
+    });
+    surfaceZone.set(o.fields[0].toLowerCase(), zone);
+  });
+  if (!surfaces.length) throw new Error('No detailed surfaces found in IDF');
+
+  const windows = [];
+  const fl = layout['fenestrationsurface:detailed'];
+  objects.filter((o) => o.type === 'fenestrationsurface:detailed').forEach((o) => {
+    const host = o.fields[fl.surface];
+    const zone = surfaceZone.get((host || '').toLowerCase());
+    const vertices = vertexList(o.fields, fl.verts).map(place(zone));
+    if (vertices.length >= 3) windows.push({ name: o.fields[0], surface: host, zone, vertices });
+  });
+
+  return {
+    name: building ? building.fields[0] : 'IDF model',
+    zones: Array.from(zoneMap.values()).map((z) => ({ name: z.name })),
+    surfaces,
+    windows,
+  };
+}
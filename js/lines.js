@@ -0,0 +1,155 @@
+/* ============================================
+   idfkit Landing Page — Line Batches
+
+   The hero's line work drawn in a handful of
+   draw calls. Builders describe polylines:
+
+     { points: [Vector3], colors: [Color] | color,
+       delay, target, speed, phase, channel }
+
+   and buildLineBatch() merges them into a single
+   THREE.LineSegments whose shader runs the fade-
+   in, scroll fade and travelling brightness wave
+   on the GPU. Lines with a speed pulse; `channel`
+   picks a shared gain/opacity pair the scene
+   updates once per frame instead of per line.
+   ============================================ */
+
+import { THREE } from './three.js';
+
+export const CHANNELS = 12;
+
+// Uniforms shared by every batch in a scene
+export function createLineUniforms() {
+  const channels = [];
+  for (let i = 0; i < CHANNELS; i++) channels.push(new THREE.Vector2(1, 1));
+  return {
+    uTime: { value: 0 },
+    uScroll: { value: 1 },
+    uChannels: { value: channels },  // x: pulse gain, y: opacity
+  };
+}
+
+const VERTEX = `
+  #define PI 3.141592653589793
+  // Strings hold their gradient until the scene has settled in
+  #define PULSE_START 1.5
+
+  attribute vec3 aColor;
+  attribute vec4 aLine;  // delay, target opacity, wave speed, wave phase
+  attribute vec2 aWave;  // position along the line 0–1, channel
+
+  uniform float uTime;
+  uniform float uScroll;
+  uniform float uDelayOffset;
+  uniform vec2 uChannels[${CHANNELS}];
+
+  varying vec3 vColor;
+  varying float vAlpha;
+
+  void main() {
+    vec2 channel = uChannels[int(aWave.y + 0.5)];
+
+    // Ease-out cubic fade-in over 0.9 s from the line's delay
+    float p = clamp((uTime - aLine.x - uDelayOffset) / 0.9, 0.0, 1.0);
+    vAlpha = (1.0 - pow(1.0 - p, 3.0)) * aLine.y * uScroll * channel.y;
+
+    vColor = aColor;
+    if (aLine.z > 0.0 && uTime > PULSE_START) {
+      float wave = sin((aWave.x * 8.0 - uTime * aLine.z * 2.5 + aLine.w) * PI) * 0.5 + 0.5;
+      vColor = min(aColor * (0.45 + wave * 0.95) * channel.x, 1.0);
+    }
+
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`;
+
+const FRAGMENT = `
+  varying vec3 vColor;
+  varying float vAlpha;
+
+  void main() {
+    gl_FragColor = vec4(vColor, vAlpha);
+  }
+`;
+
+// Merge polylines into one LineSegments. userData.lines keeps each
+// line's first vertex and point count for later edits.
+export function buildLineBatch(lines, { uniforms, additive = false, renderOrder = 0 }) {
+  let verts = 0;
+  lines.forEach((l) => { verts += 2 * (l.points.length - 1); });
+
+  const pos = new Float32Array(verts * 3);
+  const col = new Float32Array(verts * 3);
+  const line = new Float32Array(verts * 4);
+  const wave = new Float32Array(verts * 2);
+  const ranges = [];
+
+  let v = 0;
+  lines.forEach((l) => {
+    const n = l.points.length;
+    const params = [l.delay || 0, l.target === undefined ? 1 : l.target, l.speed || 0, l.phase || 0];
+    ranges.push({ start: v, points: n });
+    for (let j = 0; j < n - 1; j++) {
+      [j, j + 1].forEach((k) => {
+        const p = l.points[k];
+        const c = l.colors ? l.colors[k] : l.color;
+        pos.set([p.x, p.y, p.z], v * 3);
+        col.set([c.r, c.g, c.b], v * 3);
+        line.set(params, v * 4);
+        wave.set([k / (n - 1), l.channel || 0], v * 2);
+        v++;
+      });
+    }
+  });
+
+  const geom = new THREE.BufferGeometry();
+  geom.setAttribute('position', new THREE.BufferAttribute(pos, 3));
+  geom.setAttribute('aColor', new THREE.BufferAttribute(col, 3));
+  geom.setAttribute('aLine', new THREE.BufferAttribute(line, 4));
+  geom.setAttribute('aWave', new THREE.BufferAttribute(wave, 2));
+
+  const mat = new THREE.ShaderMaterial({
+    uniforms: Object.assign({ uDelayOffset: { value: 0 } }, uniforms),
+    vertexShader: VERTEX,
+    fragmentShader: FRAGMENT,
+    transparent: true,
+    depthWrite: !additive,
+    blending: additive ? THREE.AdditiveBlending : THREE.NormalBlending,
+  });
+
+  const batch = new THREE.LineSegments(geom, mat);
+  batch.renderOrder = renderOrder;
+  batch.userData.lines = ranges;
+  return batch;
+}
+
+// Point j of line i sits at one or two vertices: the end of segment
+// j-1 and the start of segment j
+function eachVertex(batch, i, j, fn) {
+  const { start, points } = batch.userData.lines[i];
+  if (j > 0) fn(start + 2 * (j - 1) + 1);
+  if (j < points - 1) fn(start + 2 * j);
+}
+
+// Move a line's points; the caller flags the attribute for upload
+export function setLinePoints(batch, i, points) {
+  const pos = batch.geometry.attributes.position;
+  points.forEach((p, j) => eachVertex(batch, i, j, (v) => pos.setXYZ(v, p.x, p.y, p.z)));
+}
+
+export function setLineColor(batch, i, j, r, g, b) {
+  const col = batch.geometry.attributes.aColor;
+  eachVertex(batch, i, j, (v) => col.setXYZ(v, r, g, b));
+}
+
+// Draw only the first n lines of a batch
+export function setLineCount(batch, n) {
+  const lines = batch.userData.lines;
+  batch.geometry.setDrawRange(0, n < lines.length ? lines[n].start : Infinity);
+}
+
+export function disposeLineBatch(batch) {
+  batch.geometry.dispose();
+  batch.material.dispose();
+}
@@ -0,0 +1,32 @@
+/* ============================================
+   idfkit Landing Page — Reduced Motion
+
+   One switch for the page's motion: follows
+   prefers-reduced-motion, live, and the hero's
+   pause toggle flips it for visitors without
+   the OS setting. The root element gets
+   .reduce-motion so CSS can drop transitions
+   and entrance animations.
+   ============================================ */
+
+const query = window.matchMedia('(prefers-reduced-motion: reduce)');
+const listeners = new Set();
+
+export const motion = {
+  reduced: false,
+
+  set(reduced) {
+    motion.reduced = reduced;
+    document.documentElement.classList.toggle('reduce-motion', reduced);
+    listeners.forEach((fn) => fn(reduced));
+  },
+
+  // Returns a function that removes the listener
+  onChange(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  },
+};
+
+motion.set(query.matches);
+query.addEventListener('change', () => motion.set(query.matches));
@@ -0,0 +1,173 @@
+/* ============================================
+   idfkit Landing Page — Orbit Controls
+
+   Damped orbit, zoom and pan for the hero's
+   camera in explore mode. Drag to orbit;
+   right- or shift-drag to pan; wheel to zoom.
+   On touch, one finger orbits and two pinch
+   and pan. The camera eases towards where the
+   gestures put it, one step per update().
+
+   Until enabled the element's touches and
+   wheel are left to the page, so scrolling
+   works as usual.
+   ============================================ */
+
+import { THREE } from './three.js';
+
+const ROTATE = 2.2;          // rad per element height dragged
+const ZOOM = 0.0015;         // per wheel pixel
+const MIN_RADIUS = 5;
+const MAX_RADIUS = 28;
+const MIN_PHI = 0.15;        // rad from straight down the y axis
+const MAX_PHI = 1.75;        // a little below the horizon
+const MAX_PAN = 6;           // target stays this close to the origin
+const SETTLED = 1e-4;
+
+// `signal` removes the listeners; `onChange` runs after every gesture,
+// for scenes that only draw on demand
+export function createOrbit(camera, el, { signal, onChange = () => {}, damping = 0.12 } = {}) {
+  const current = { sph: new THREE.Spherical(), target: new THREE.Vector3() };
+  const goal = { sph: new THREE.Spherical(), target: new THREE.Vector3() };
+  const pointers = new Map();
+  const v = new THREE.Vector3();
+  let gesture = null;  // { pan, spread, x, y } while dragging
+
+  const orbit = {
+    enabled: false,
+    moving: false,  // easing towards the goal; update() keeps going
+    dragging: false,
+
+    // Take over from wherever the camera is looking at `target`, or
+    // hand the element back to the page
+    setEnabled(on, target = current.target) {
+      if (on && !orbit.enabled) {
+        current.target.copy(target);
+        current.sph.setFromVector3(v.subVectors(camera.position, target));
+        goal.sph.copy(current.sph);
+        goal.target.copy(target);
+      }
+      orbit.enabled = on;
+      el.style.touchAction = on ? 'none' : '';
+      if (!on) endGesture();
+    },
+
+    // Ease to the view from `position` towards `target`
+    moveTo(position, target) {
+      goal.target.copy(target);
+      goal.sph.setFromVector3(v.subVectors(position, target));
+      // Come round the short way
+      const turn = goal.sph.theta - current.sph.theta;
+      goal.sph.theta -= Math.round(turn / (Math.PI * 2)) * Math.PI * 2;
+      orbit.moving = true;
+      onChange();
+    },
+
+    // One step towards the goal (the whole way with `snap`); returns
+    // whether there's further to go
+    update(snap = false) {
+      if (!orbit.moving) return false;
+      const k = snap ? 1 : damping;
+      const s = current.sph, g = goal.sph;
+      s.radius += (g.radius - s.radius) * k;
+      s.phi += (g.phi - s.phi) * k;
+      s.theta += (g.theta - s.theta) * k;
+      current.target.lerp(goal.target, k);
+
+      const left = Math.abs(g.radius - s.radius) + Math.abs(g.phi - s.phi)
+        + Math.abs(g.theta - s.theta) + current.target.distanceTo(goal.target);
+      if (left < SETTLED) {
+        s.copy(g);
+        current.target.copy(goal.target);
+        orbit.moving = false;
+      }
+      camera.position.setFromSpherical(s).add(current.target);
+      camera.lookAt(current.target);
+      return orbit.moving;
+    },
+  };
+
+  function rotate(dx, dy) {
+    const h = el.clientHeight || window.innerHeight;
+    goal.sph.theta -= ROTATE * dx / h;
+    goal.sph.phi = THREE.MathUtils.clamp(goal.sph.phi - ROTATE * dy / h, MIN_PHI, MAX_PHI);
+  }
+
+  function zoom(scale) {
+    goal.sph.radius = THREE.MathUtils.clamp(goal.sph.radius * scale, MIN_RADIUS, MAX_RADIUS);
+  }
+
+  // Slide the target across the view, as far as the drag went on screen
+  // at the target's distance
+  function pan(dx, dy) {
+    const h = el.clientHeight || window.innerHeight;
+    const perPx = 2 * goal.sph.radius * Math.tan(camera.fov * THREE.MathUtils.DEG2RAD / 2) / h;
+    goal.target.addScaledVector(v.setFromMatrixColumn(camera.matrix, 0), -dx * perPx);
+    goal.target.addScaledVector(v.setFromMatrixColumn(camera.matrix, 1), dy * perPx);
+    goal.target.clampLength(0, MAX_PAN);
+  }
+
+  // Midpoint and spread of the pointers down
+  function centroid() {
+    let x = 0, y = 0;
+    pointers.forEach((p) => { x += p.x; y += p.y; });
+    x /= pointers.size;
+    y /= pointers.size;
+    let spread = 0;
+    pointers.forEach((p) => { spread += Math.hypot(p.x - x, p.y - y); });
+    return { x, y, spread: spread / pointers.size };
+  }
+
+  function startGesture(pan) {
+    gesture = Object.assign({ pan }, centroid());
+    orbit.dragging = true;
+  }
+
+  function endGesture() {
+    pointers.clear();
+    gesture = null;
+    orbit.dragging = false;
+  }
+
+  el.addEventListener('pointerdown', (e) => {
+    if (!orbit.enabled) return;
+    el.setPointerCapture(e.pointerId);
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    startGesture(pointers.size > 1 || e.button === 2 || e.shiftKey);
+  }, { signal });
+
+  el.addEventListener('pointermove', (e) => {
+    if (!gesture || !pointers.has(e.pointerId)) return;
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    const c = centroid();
+    if (gesture.pan) pan(c.x - gesture.x, c.y - gesture.y);
+    else rotate(c.x - gesture.x, c.y - gesture.y);
+    if (pointers.size > 1 && gesture.spread > 0 && c.spread > 0) zoom(gesture.spread / c.spread);
+    Object.assign(gesture, c);
+    orbit.moving = true;
+    onChange();
+  }, { signal });
+
+  // A finger lifting mid-pinch carries on with the ones left
+  const lift = (e) => {
+    if (!pointers.delete(e.pointerId)) return;
+    if (pointers.size) startGesture(pointers.size > 1);
+    else endGesture();
+  };
+  el.addEventListener('pointerup', lift, { signal });
+  el.addEventListener('pointercancel', lift, { signal });
+
+  el.addEventListener('wheel', (e) => {
+    if (!orbit.enabled) return;
+    e.preventDefault();
+    zoom(Math.exp(e.deltaY * (e.deltaMode === 1 ? 16 : 1) * ZOOM));
+    orbit.moving = true;
+    onChange();
+  }, { passive: false, signal });
+
+  el.addEventListener('contextmenu', (e) => {
+    if (orbit.enabled) e.preventDefault();
+  }, { signal });
+
+  return orbit;
+}
@@ -0,0 +1,70 @@
+/* ============================================
+   idfkit Landing Page — Quality Governor
+
+   Watches the hero's frame times and steps
+   between quality tiers: down quickly when
+   frames run long, back up slowly once they
+   are comfortably fast again. A tier that had
+   to be dropped waits longer each time before
+   it is retried, so quality settles instead of
+   oscillating.
+   ============================================ */
+
+// Lowest to highest. `bloom` is the post-processing path (js/bloom.js);
+// `stringSegs` is points per heat/cold/convection string.
+export const TIERS = [
+  { name: 'low',    pixelRatio: 1,   particles: 80,  connections: 24, bloom: 'low',  stringSegs: 20 },
+  { name: 'medium', pixelRatio: 1.5, particles: 160, connections: 50, bloom: 'high', stringSegs: 34 },
+  { name: 'high',   pixelRatio: 2,   particles: 240, connections: 80, bloom: 'high', stringSegs: 50 },
+];
+
+const DOWN_FPS = 45;       // below this, sustained, step down
+const UP_FPS = 56;         // above this, sustained, step up
+const DOWN_AFTER = 2;      // s of slow frames before stepping down
+const UP_AFTER = 6;        // s of fast frames before stepping up
+const SETTLE = 3;          // s after a change before judging again
+const RETRY_BACKOFF = 2;   // each failed tier waits this much longer
+const MAX_FRAME = 250;     // ms; longer gaps are tab switches, not jank
+
+export function createGovernor(start = TIERS.length - 1) {
+  const g = {
+    tier: start,
+    fps: 60,
+    slow: 0,
+    fast: 0,
+    settle: SETTLE,
+    // Extra seconds of fast frames a tier needs before it is retried
+    penalty: TIERS.map(() => 0),
+
+    // Feed one frame time (ms); returns true when the tier changed
+    sample(ms) {
+      if (!(ms > 0) || ms > MAX_FRAME) return false;
+      const s = ms / 1000;
+      g.fps += (1000 / ms - g.fps) * 0.05;
+
+      if (g.settle > 0) {
+        g.settle -= s;
+        return false;
+      }
+
+      g.slow = g.fps < DOWN_FPS ? g.slow + s : 0;
+      g.fast = g.fps > UP_FPS ? g.fast + s : 0;
+
+      if (g.slow > DOWN_AFTER && g.tier > 0) {
+        g.penalty[g.tier] = g.penalty[g.tier] ? g.penalty[g.tier] * RETRY_BACKOFF : UP_AFTER;
+        return g.set(g.tier - 1);
+      }
+      const next = g.tier + 1;
+      if (next < TIERS.length && g.fast > UP_AFTER + g.penalty[next]) return g.set(next);
+      return false;
+    },
+
+    set(tier) {
+      g.tier = tier;
+      g.slow = g.fast = 0;
+      g.settle = SETTLE;
+      return true;
+    },
+  };
+  return g;
+}
@@ -0,0 +1,154 @@
+/* ============================================
+   idfkit Landing Page — Simulation Results
+
+   Reads per-surface heat transfer results for
+   the hero to color the model with, from either
+   EnergyPlus's eplusout.csv or a JSON export of
+   its report data (e.g. out of eplusout.sql):
+
+     [{ key, variable, units, values: [...] }]
+     or { timestamps: [...], series: [...] }
+
+   Only per-area rates (W/m²) are kept so every
+   surface shares one color scale. Keys are
+   upper-cased, as EnergyPlus reports them.
+   ============================================ */
+
+// Variables to open on, best first
+const PREFERRED = [
+  'Surface Inside Face Conduction Heat Transfer Rate per Area',
+  'Surface Average Face Conduction Heat Transfer Rate per Area',
+  'Surface Outside Face Conduction Heat Transfer Rate per Area',
+  'Surface Outside Face Solar Radiation Heat Gain Rate per Area',
+  'Surface Inside Face Solar Radiation Heat Gain Rate per Area',
+];
+
+const PER_AREA = ['w/m2', 'w/m²'];
+
+// Column header: KEY:Variable Name [units](Frequency)
+const COLUMN = /^(.*):([^:]+?)\s*\[([^\]]*)\]\s*\(([^)]*)\)\s*$/;
+
+// Timestamps: eplusout.csv's " 01/01  13:00:00" or ISO 8601
+const STAMP_CSV = /(\d{1,2})\/(\d{1,2})\s+(\d{1,2}):(\d{2})/;
+const STAMP_ISO = /\d{4}-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})/;
+
+function parseStamps(stamps) {
+  const n = stamps.length;
+  const hours = {
+    month: new Uint8Array(n),
+    day: new Uint8Array(n),
+    hour: new Uint8Array(n),
+    minute: new Uint8Array(n),
+  };
+  for (let i = 0; i < n; i++) {
+    const m = STAMP_CSV.exec(stamps[i]) || STAMP_ISO.exec(stamps[i]);
+    if (!m) return null;
+    hours.month[i] = +m[1];
+    hours.day[i] = +m[2];
+    hours.hour[i] = +m[3];
+    hours.minute[i] = +m[4];
+  }
+  return hours;
+}
+
+// Group series by variable, preferred variables first
+function collect(series, count, stamps) {
+  const byName = new Map();
+  series.forEach(({ key, variable, values }) => {
+    if (!byName.has(variable)) byName.set(variable, new Map());
+    byName.get(variable).set(key.toUpperCase(), values);
+  });
+  if (!byName.size) throw new Error('No per-area (W/m²) surface results found');
+
+  const rank = (name) => {
+    const i = PREFERRED.indexOf(name);
+    return i < 0 ? PREFERRED.length : i;
+  };
+  const variables = Array.from(byName, ([name, map]) => ({ name, series: map }))
+    .sort((a, b) => rank(a.name) - rank(b.name) || a.name.localeCompare(b.name));
+
+  return { variables, count, hours: stamps ? parseStamps(stamps) : null };
+}
+
+export function parseResultsCSV(text) {
+  const lines = text.split(/\r?\n/);
+  const header = (lines[0] || '').split(',');
+  if (!/date\/time/i.test(header[0] || '')) {
+    throw new Error('Not an eplusout.csv file: missing Date/Time column');
+  }
+
+  // Keep per-area columns, all at the first one's reporting frequency
+  let freq = null;
+  const columns = [];
+  header.forEach((h, i) => {
+    const m = COLUMN.exec(h.trim());
+    if (!m || !PER_AREA.includes(m[3].toLowerCase())) return;
+    if (freq === null) freq = m[4];
+    if (m[4] === freq) columns.push({ index: i, key: m[1], variable: m[2] });
+  });
+  if (!columns.length) throw new Error('No per-area (W/m²) surface results found');
+
+  // Rows at other frequencies leave these columns blank
+  const rows = [];
+  for (let i = 1; i < lines.length; i++) {
+    const f = lines[i].split(',');
+    if (columns.some((c) => f[c.index] !== undefined && f[c.index].trim() !== '')) rows.push(f);
+  }
+  if (!rows.length) throw new Error('eplusout.csv has no result rows');
+
+  const series = columns.map((c) => {
+    const values = new Float32Array(rows.length);
+    rows.forEach((f, i) => { values[i] = parseFloat(f[c.index]); });
+    return { key: c.key, variable: c.variable, values };
+  });
+  return collect(series, rows.length, rows.map((f) => f[0]));
+}
+
+// Accepts EnergyPlus SQL column names (KeyValue, Name, Units) as well
+export function parseResultsJSON(text) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (e) {
+    throw new Error('Not a results JSON file: ' + e.message);
+  }
+  const list = Array.isArray(doc) ? doc : doc && doc.series;
+  if (!Array.isArray(list)) throw new Error('Results JSON has no series list');
+
+  let count = 0;
+  const series = [];
+  list.forEach((s) => {
+    const key = s.key || s.KeyValue;
+    const variable = s.variable || s.name || s.Name;
+    const units = String(s.units || s.Units || '').toLowerCase();
+    const values = s.values || s.Values;
+    if (!key || !variable || !Array.isArray(values) || !PER_AREA.includes(units)) return;
+    series.push({ key, variable, values: Float32Array.from(values, (v) => (v === null ? NaN : v)) });
+    count = Math.max(count, values.length);
+  });
+  if (!count) throw new Error('No per-area (W/m²) surface results found');
+
+  const stamps = doc.timestamps || doc.times;
+  return collect(series, count, Array.isArray(stamps) && stamps.length >= count ? stamps : null);
+}
+
+// Color scale for one variable: 2nd–98th percentile so a few spikes
+// don't wash the model out, symmetric about zero when flows go both ways
+export function resultsRange(variable) {
+  const sample = [];
+  variable.series.forEach((values) => {
+    const step = Math.max(1, Math.floor(values.length / 2000));
+    for (let i = 0; i < values.length; i += step) {
+      if (isFinite(values[i])) sample.push(values[i]);
+    }
+  });
+  if (!sample.length) return { min: 0, max: 1, diverging: false };
+  sample.sort((a, b) => a - b);
+  const lo = sample[Math.floor(sample.length * 0.02)];
+  const hi = sample[Math.ceil(sample.length * 0.98) - 1];
+  if (lo < 0 && hi > 0) {
+    const m = Math.max(-lo, hi);
+    return { min: -m, max: m, diverging: true };
+  }
+  return { min: Math.min(0, lo), max: hi > lo ? hi : lo + 1, diverging: false };
+}
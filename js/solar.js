@@ -0,0 +1,139 @@
+/* ============================================
+   idfkit Landing Page — Solar Position
+
+   NOAA solar position algorithm (the one behind
+   the NOAA Solar Calculator spreadsheet). Good to
+   better than a minute of arc between 1901 and
+   2099, which is plenty for a hero visual.
+
+   Conventions: latitude north positive, longitude
+   east positive, altitude above the horizon with
+   refraction, azimuth clockwise from north.
+   ============================================ */
+
+const RAD = Math.PI / 180;
+const DEG = 180 / Math.PI;
+
+// Apparent sunrise/sunset: solar disc radius + standard refraction
+const HORIZON_ZENITH = 90.833;
+
+function julianCentury(date) {
+  const jd = date.getTime() / 86400000 + 2440587.5;
+  return (jd - 2451545) / 36525;
+}
+
+// Declination (deg) and equation of time (minutes) for a UTC instant
+function sunEphemeris(date) {
+  const T = julianCentury(date);
+
+  const L0 = (280.46646 + T * (36000.76983 + T * 0.0003032)) % 360;
+  const M  = 357.52911 + T * (35999.05029 - 0.0001537 * T);
+  const e  = 0.016708634 - T * (0.000042037 + 0.0000001267 * T);
+
+  const C = Math.sin(M * RAD) * (1.914602 - T * (0.004817 + 0.000014 * T))
+          + Math.sin(2 * M * RAD) * (0.019993 - 0.000101 * T)
+          + Math.sin(3 * M * RAD) * 0.000289;
+  const trueLong = L0 + C;
+  const omega = 125.04 - 1934.136 * T;
+  const appLong = trueLong - 0.00569 - 0.00478 * Math.sin(omega * RAD);
+
+  const meanObliq = 23 + (26 + (21.448 - T * (46.815 + T * (0.00059 - T * 0.001813))) / 60) / 60;
+  const obliq = meanObliq + 0.00256 * Math.cos(omega * RAD);
+
+  const declination = Math.asin(Math.sin(obliq * RAD) * Math.sin(appLong * RAD)) * DEG;
+
+  const y = Math.pow(Math.tan(obliq * RAD / 2), 2);
+  const eqTime = 4 * DEG * (
+    y * Math.sin(2 * L0 * RAD)
+    - 2 * e * Math.sin(M * RAD)
+    + 4 * e * y * Math.sin(M * RAD) * Math.cos(2 * L0 * RAD)
+    - 0.5 * y * y * Math.sin(4 * L0 * RAD)
+    - 1.25 * e * e * Math.sin(2 * M * RAD)
+  );
+
+  return { declination, eqTime };
+}
+
+// Atmospheric refraction correction (deg) for a geometric elevation
+function refraction(elev) {
+  if (elev > 85) return 0;
+  const te = Math.tan(elev * RAD);
+  let arcsec;
+  if (elev > 5) {
+    arcsec = 58.1 / te - 0.07 / Math.pow(te, 3) + 0.000086 / Math.pow(te, 5);
+  } else if (elev > -0.575) {
+    arcsec = 1735 + elev * (-518.2 + elev * (103.4 + elev * (-12.79 + elev * 0.711)));
+  } else {
+    arcsec = -20.772 / te;
+  }
+  return arcsec / 3600;
+}
+
+// Sun altitude/azimuth (deg) seen from a site at a given instant
+export function solarPosition(date, latitude, longitude) {
+  const { declination, eqTime } = sunEphemeris(date);
+
+  const utcMinutes = date.getUTCHours() * 60 + date.getUTCMinutes()
+    + date.getUTCSeconds() / 60 + date.getUTCMilliseconds() / 60000;
+  const trueSolarTime = (((utcMinutes + eqTime + 4 * longitude) % 1440) + 1440) % 1440;
+  const hourAngle = trueSolarTime / 4 < 0 ? trueSolarTime / 4 + 180 : trueSolarTime / 4 - 180;
+
+  const lat = latitude * RAD, dec = declination * RAD;
+  const cosZen = Math.sin(lat) * Math.sin(dec)
+    + Math.cos(lat) * Math.cos(dec) * Math.cos(hourAngle * RAD);
+  const zenith = Math.acos(Math.max(-1, Math.min(1, cosZen)));
+
+  // Azimuth measured from north; undefined straight overhead / at the poles
+  let azimuth = 180;
+  const denom = Math.cos(lat) * Math.sin(zenith);
+  if (Math.abs(denom) > 1e-9) {
+    const cosAz = (Math.sin(lat) * Math.cos(zenith) - Math.sin(dec)) / denom;
+    const az = Math.acos(Math.max(-1, Math.min(1, cosAz))) * DEG;
+    azimuth = hourAngle > 0 ? (az + 180) % 360 : (540 - az) % 360;
+  }
+
+  const elevation = 90 - zenith * DEG;
+  return {
+    altitude: elevation + refraction(elevation),
+    azimuth,
+    declination,
+    hourAngle,
+  };
+}
+
+// Sunrise, solar noon and sunset (Dates) for the UTC day containing `date`.
+// During polar day/night sunrise and sunset are null.
+export function solarDay(date, latitude, longitude) {
+  const midnight = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+  // Evaluate the ephemeris near local noon for a better estimate
+  const approxNoon = new Date(midnight + (720 - 4 * longitude) * 60000);
+  const { declination, eqTime } = sunEphemeris(approxNoon);
+
+  const noonMin = 720 - 4 * longitude - eqTime;
+  const lat = latitude * RAD, dec = declination * RAD;
+  const cosHa = Math.cos(HORIZON_ZENITH * RAD) / (Math.cos(lat) * Math.cos(dec))
+    - Math.tan(lat) * Math.tan(dec);
+
+  const noon = new Date(midnight + noonMin * 60000);
+  if (cosHa > 1)  return { sunrise: null, noon, sunset: null, polar: 'night' };
+  if (cosHa < -1) return { sunrise: null, noon, sunset: null, polar: 'day' };
+
+  const ha = Math.acos(cosHa) * DEG;
+  return {
+    sunrise: new Date(midnight + (noonMin - 4 * ha) * 60000),
+    noon,
+    sunset: new Date(midnight + (noonMin + 4 * ha) * 60000),
+    polar: null,
+  };
+}
+
+// Unit vector pointing toward the sun in scene space:
+// +x east, +y up, +z south (the camera looks north).
+export function sunDirection(altitude, azimuth, out) {
+  const alt = altitude * RAD, az = azimuth * RAD;
+  const v = out || { x: 0, y: 0, z: 0 };
+  v.x = Math.sin(az) * Math.cos(alt);
+  v.y = Math.sin(alt);
+  v.z = -Math.cos(az) * Math.cos(alt);
+  return v;
+}
@@ -0,0 +1,120 @@
+/* ============================================
+   idfkit Landing Page — Sparklines
+
+   Rolling history for the hero's telemetry
+   readouts: a fixed-size ring buffer of recent
+   samples per readout, drawn as a sparkline on
+   a small canvas with its lowest and highest
+   points marked, plus the arrow for where the
+   value is heading.
+
+   Times are in seconds on whatever clock the
+   caller samples with; sparklines sharing a
+   { from, to } window line up on one time axis.
+   ============================================ */
+
+const MIN_COLOR = '#8db0fe';
+const MAX_COLOR = '#f4987a';
+
+// Fixed-size buffer of (time, value) samples, oldest overwritten first
+export function createHistory(capacity) {
+  const times = new Float64Array(capacity);
+  const values = new Float64Array(capacity);
+  let head = 0;
+
+  const history = {
+    count: 0,
+
+    // A time before the last sample means the clock restarted
+    push(t, v) {
+      if (history.count && t < history.time(history.count - 1)) history.clear();
+      times[head] = t;
+      values[head] = v;
+      head = (head + 1) % capacity;
+      history.count = Math.min(history.count + 1, capacity);
+    },
+
+    // Sample i, oldest first
+    time(i) {
+      return times[(head - history.count + i + capacity) % capacity];
+    },
+    value(i) {
+      return values[(head - history.count + i + capacity) % capacity];
+    },
+
+    // Lowest and highest samples at or after `from`, as indices
+    extremes(from = -Infinity) {
+      let lo = -1, hi = -1;
+      for (let i = 0; i < history.count; i++) {
+        if (history.time(i) < from) continue;
+        const v = history.value(i);
+        if (lo < 0 || v < history.value(lo)) lo = i;
+        if (hi < 0 || v > history.value(hi)) hi = i;
+      }
+      return { lo, hi };
+    },
+
+    clear() {
+      history.count = 0;
+      head = 0;
+    },
+  };
+
+  return history;
+}
+
+// '↑', '↓' or '→': the change over the last `span` seconds, against a
+// dead band of `flat` times the spread since `from`
+export function trendArrow(history, { span = 2, from = -Infinity, flat = 0.05 } = {}) {
+  const n = history.count;
+  if (n < 2) return '→';
+  const now = history.time(n - 1);
+  let i = n - 1;
+  while (i > 0 && history.time(i - 1) >= now - span) i--;
+  const { lo, hi } = history.extremes(from);
+  const change = history.value(n - 1) - history.value(i);
+  const band = Math.max(1e-6, (history.value(hi) - history.value(lo)) * flat);
+  return change > band ? '↑' : change < -band ? '↓' : '→';
+}
+
+// Sparkline of the samples between `from` and `to`, sized to the
+// canvas's CSS box; the line takes the canvas's CSS color
+export function drawSparkline(canvas, history, { from, to }) {
+  const dpr = window.devicePixelRatio || 1;
+  const w = canvas.clientWidth || 140, h = canvas.clientHeight || 22;
+  if (canvas.width !== Math.round(w * dpr)) canvas.width = Math.round(w * dpr);
+  if (canvas.height !== Math.round(h * dpr)) canvas.height = Math.round(h * dpr);
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return;
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, w, h);
+
+  const { lo, hi } = history.extremes(from);
+  if (lo < 0) return;
+  const min = history.value(lo), max = history.value(hi);
+  // A flat series runs along the middle
+  const spread = max - min || 1;
+  const pad = 3;
+  const x = (i) => (history.time(i) - from) / (to - from) * w;
+  const y = (i) => (max > min ? h - pad - (history.value(i) - min) / spread * (h - 2 * pad) : h / 2);
+
+  ctx.strokeStyle = getComputedStyle(canvas).color || 'rgba(180, 210, 255, 0.9)';
+  ctx.lineWidth = 1;
+  ctx.lineJoin = 'round';
+  ctx.beginPath();
+  let started = false;
+  for (let i = 0; i < history.count; i++) {
+    if (history.time(i) < from) continue;
+    if (started) ctx.lineTo(x(i), y(i));
+    else ctx.moveTo(x(i), y(i));
+    started = true;
+  }
+  ctx.stroke();
+
+  [[lo, MIN_COLOR], [hi, MAX_COLOR]].forEach(([i, color]) => {
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.arc(x(i), y(i), 1.75, 0, Math.PI * 2);
+    ctx.fill();
+  });
+}
@@ -0,0 +1,90 @@
+/* ============================================
+   idfkit Landing Page — Scroll Storyboard
+
+   Views of the hero scene for the page below
+   it. Elements tagged data-story="<shot>"
+   anchor a shot at the scroll position where
+   they sit mid-viewport; in between, scrolling
+   blends one shot into the next with an ease-
+   in-out on the progress. The hero keeps the
+   scene behind the page as a fixed backdrop
+   and draws whatever view this gives it.
+   ============================================ */
+
+// Camera framing and how much of the scene shows. `backdrop` fades the
+// whole scene behind the page copy; `flows` (heat and cold strings,
+// rings), `zones` (partitions and convection loops), `grid` and
+// `sunPath` scale their lines' opacity.
+export const SHOTS = {
+  hero: {
+    position: [0, 2.5, 14], target: [0, 0, 0],
+    backdrop: 1, flows: 1, zones: 1, grid: 1, sunPath: 0,
+  },
+  // The ecosystem: stand back and take in the whole scene
+  ecosystem: {
+    position: [-9, 5, 13], target: [0, 0.5, 0],
+    backdrop: 0.45, flows: 1, zones: 1, grid: 1, sunPath: 0,
+  },
+  // Envelop: the envelope side-on
+  envelop: {
+    position: [10, 1.5, 7], target: [0, 0.3, 0],
+    backdrop: 0.45, flows: 0.7, zones: 1, grid: 1, sunPath: 0,
+  },
+  // Reference tracking: in among the zones
+  zones: {
+    position: [2.6, 2.4, 5.2], target: [0, -0.3, 0],
+    backdrop: 0.5, flows: 0.12, zones: 3.5, grid: 0.6, sunPath: 0,
+  },
+  // 3D geometry: looking down onto the ground grid
+  grid: {
+    position: [0.5, 14, 6], target: [0, -1.5, 0],
+    backdrop: 0.5, flows: 0.2, zones: 1.5, grid: 4, sunPath: 0,
+  },
+  // Weather stations: the sun's path over the site
+  sunPath: {
+    position: [-6, 6, 20], target: [0, 3, 0],
+    backdrop: 0.5, flows: 0.6, zones: 1, grid: 1, sunPath: 1,
+  },
+  // Quick start: pull away and fade out
+  outro: {
+    position: [0, 4, 24], target: [0, 1, 0],
+    backdrop: 0, flows: 1, zones: 1, grid: 1, sunPath: 0,
+  },
+};
+
+// Anchors closer than this (a fraction of the viewport height), such
+// as cards side by side in one grid row, are spread out to it
+const MIN_GAP = 0.3;
+
+// Scroll positions of the tagged elements' shots, in page order
+export function storyAnchors(els) {
+  const h = window.innerHeight;
+  const anchors = [];
+  els.forEach((el) => {
+    const shot = SHOTS[el.dataset.story];
+    if (!shot) return;
+    const box = el.getBoundingClientRect();
+    let y = Math.max(0, box.top + window.scrollY + box.height / 2 - h / 2);
+    const prev = anchors[anchors.length - 1];
+    if (prev) y = Math.max(y, prev.y + MIN_GAP * h);
+    anchors.push({ y, shot });
+  });
+  return anchors;
+}
+
+// The view at scroll position `y`, blended into `out` from the anchors
+// either side; held at the first and last shots beyond them
+export function storyView(anchors, y, out = {}) {
+  let i = 0;
+  while (i < anchors.length - 1 && anchors[i + 1].y <= y) i++;
+  const a = anchors[i], b = anchors[i + 1] || a;
+  const p = b === a ? 0 : Math.min(1, Math.max(0, (y - a.y) / (b.y - a.y)));
+  const t = p * p * (3 - 2 * p);
+  Object.keys(a.shot).forEach((k) => {
+    const from = a.shot[k], to = b.shot[k];
+    out[k] = Array.isArray(from)
+      ? from.map((v, j) => v + (to[j] - v) * t)
+      : from + (to - from) * t;
+  });
+  return out;
+}
@@ -0,0 +1,168 @@
+/* ============================================
+   idfkit Landing Page — Envelope Thermal Model
+
+   A lumped resistance–capacitance model of the
+   hero building's envelope: one thermal mass
+   node each for the walls, roof and ground slab,
+   stepped explicitly through time. Outside they
+   see outdoor air, wind and sun (the slab sees
+   the ground); inside, a room held at setpoint.
+
+     outside ─ 1/h ─ Ts ─ R/2 ─ [T, C] ─ R/2 + Rsi ─ room
+
+   Per square metre, SI units throughout.
+   ============================================ */
+
+const RAD = Math.PI / 180;
+
+export const T_INDOOR = 21;  // °C setpoint
+
+// U (W/m²K), areal heat capacity C (J/m²K), inside film resistance
+// Rsi (m²K/W), solar absorptance. The slab's outside is soil, Rsoil.
+export const ELEMENTS = {
+  wall:   { U: 0.35, C: 150e3, Rsi: 0.13, absorptance: 0.6 },
+  roof:   { U: 0.20, C: 80e3,  Rsi: 0.10, absorptance: 0.7 },
+  ground: { U: 0.30, C: 250e3, Rsi: 0.17, absorptance: 0, Rsoil: 0.5 },
+};
+
+const RSE = 0.04;       // rated outside film, already inside U
+const MAX_STEP = 300;   // s; well under the fastest node's time constant
+
+// ── Irradiance ────────────────────────────────────────
+// Clear-sky beam and diffuse for when there's no weather file
+// (Meinel's air-mass attenuation)
+export function clearSky(altitude) {
+  if (altitude <= 0) return { dni: 0, dhi: 0, ghi: 0 };
+  const airMass = Math.min(38, 1 / Math.sin(altitude * RAD));
+  const dni = 1353 * Math.pow(0.7, Math.pow(airMass, 0.678));
+  const dhi = 0.1 * dni;
+  return { dni, dhi, ghi: dni * Math.sin(altitude * RAD) + dhi };
+}
+
+// Incident irradiance on the roof and, averaged over the four
+// cardinal façades, on the walls. Isotropic sky, 0.2 ground albedo.
+export function envelopeIrradiance({ dni, dhi, ghi }, altitude, azimuth) {
+  let beam = 0;
+  if (altitude > 0) {
+    [0, 90, 180, 270].forEach((facing) => {
+      beam += Math.max(0, Math.cos(altitude * RAD) * Math.cos((azimuth - facing) * RAD));
+    });
+  }
+  return {
+    wall: dni * beam / 4 + 0.5 * dhi + 0.1 * ghi,
+    roof: ghi,
+  };
+}
+
+// ── Model ─────────────────────────────────────────────
+// `areas` weights each element in the envelope-wide readings
+export function createEnvelope(areas) {
+  const nodes = {};
+  Object.keys(ELEMENTS).forEach((k) => { nodes[k] = { T: T_INDOOR }; });
+  return { areas, nodes, time: null };
+}
+
+// Outside boundary of an element: film conductance, the temperature
+// it sees and the solar flux it absorbs
+function outside(k, drivers) {
+  const el = ELEMENTS[k];
+  if (k === 'ground') return { h: 1 / el.Rsoil, tOut: drivers.tGround, solar: 0 };
+  return {
+    h: 5.7 + 3.8 * drivers.wind,  // McAdams
+    tOut: drivers.tOut,
+    solar: el.absorptance * drivers.irradiance[k],
+  };
+}
+
+function halves(k) {
+  const el = ELEMENTS[k];
+  const core = Math.max(0.05, 1 / el.U - el.Rsi - RSE);
+  return { Ra: core / 2, Rb: core / 2 + el.Rsi };
+}
+
+// Surface temperatures and the heat flux into the room for one node
+function nodeState(k, T, drivers) {
+  const { Ra, Rb } = halves(k);
+  const o = outside(k, drivers);
+  const ts = (o.h * o.tOut + o.solar + T / Ra) / (o.h + 1 / Ra);
+  const qIn = (T - drivers.tIn) / Rb;
+  return { ts, tsi: drivers.tIn + qIn * ELEMENTS[k].Rsi, qOut: (ts - T) / Ra, qIn };
+}
+
+// Jump every node to its steady state, for the first step and after
+// the clock skips (scrubbing, the loop wrapping round)
+export function settleEnvelope(env, drivers) {
+  Object.keys(ELEMENTS).forEach((k) => {
+    const { Ra, Rb } = halves(k);
+    const o = outside(k, drivers);
+    const solAir = o.tOut + o.solar / o.h;
+    const q = (solAir - drivers.tIn) / (1 / o.h + Ra + Rb);
+    env.nodes[k].T = drivers.tIn + q * Rb;
+  });
+}
+
+// Advance the model to `time` (ms). Gaps longer than `maxGap` hours,
+// or going backwards, settle instead of integrating.
+export function stepEnvelope(env, drivers, time, maxGap = 6) {
+  const dt = env.time === null ? -1 : (time - env.time) / 1000;
+  env.time = time;
+  if (dt < 0 || dt > maxGap * 3600) {
+    settleEnvelope(env, drivers);
+    return;
+  }
+  const steps = Math.ceil(dt / MAX_STEP);
+  const h = dt / (steps || 1);
+  for (let i = 0; i < steps; i++) {
+    Object.keys(ELEMENTS).forEach((k) => {
+      const node = env.nodes[k];
+      const s = nodeState(k, node.T, drivers);
+      node.T += h * (s.qOut - s.qIn) / ELEMENTS[k].C;
+    });
+  }
+}
+
+// Envelope-wide, area-weighted readings: exterior surface temperature
+// of the exposed walls and roof, heat flux into the room (positive is
+// a gain) and the signed temperature drop across the envelope. Then
+// by path: sunlight absorbed by and heat conducted in through the
+// walls and roof, heat coming up through the slab, and the mean
+// inside surface temperature.
+export function envelopeReadings(env, drivers) {
+  let area = 0, exposed = 0, surfTemp = 0, heatFlux = 0, deltaT = 0;
+  let solar = 0, conduction = 0, ground = 0, insideTemp = 0;
+  Object.keys(ELEMENTS).forEach((k) => {
+    const a = env.areas[k] || 0;
+    const s = nodeState(k, env.nodes[k].T, drivers);
+    area += a;
+    heatFlux += a * s.qIn;
+    deltaT += a * (s.ts - s.tsi);
+    insideTemp += a * s.tsi;
+    if (k !== 'ground') {
+      exposed += a;
+      surfTemp += a * s.ts;
+      solar += a * outside(k, drivers).solar;
+      conduction += a * s.qIn;
+    } else {
+      ground = s.qIn;
+    }
+  });
+  return {
+    surfTemp: exposed ? surfTemp / exposed : drivers.tOut,
+    heatFlux: area ? heatFlux / area : 0,
+    deltaT: area ? deltaT / area : 0,
+    solar: exposed ? solar / exposed : 0,
+    conduction: exposed ? conduction / exposed : 0,
+    ground,
+    insideTemp: area ? insideTemp / area : drivers.tIn,
+  };
+}
+
+// ── Internal gains ────────────────────────────────────
+// People, lights and equipment (W/m² of floor) on an office schedule,
+// by solar hour. They don't enter the model: the room is held at
+// setpoint whatever it gains.
+export const INTERNAL_GAINS = { occupied: 12, unoccupied: 2 };
+
+export function internalGains(hour) {
+  return hour >= 8 && hour < 18 ? INTERNAL_GAINS.occupied : INTERNAL_GAINS.unoccupied;
+}
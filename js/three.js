@@ -0,0 +1,16 @@
+/* ============================================
+   idfkit Landing Page — three.js
+
+   The three.js (r128) the hero's modules draw
+   with. The page loads it from the CDN as the
+   global THREE; a page embedding the hero can
+   hand createHeroScene() its own copy instead
+   (options.three), and every module picks it
+   up from here.
+   ============================================ */
+
+export let THREE = window.THREE;
+
+export function useThree(lib) {
+  THREE = lib;
+}
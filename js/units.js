@@ -0,0 +1,94 @@
+/* ============================================
+   idfkit Landing Page — Units
+
+   One switch for the units the hero's readouts
+   are shown in. The models work in SI; format()
+   turns their values into display strings in
+   either SI or IP (US customary) units:
+
+     temperature  °C   →  °F
+     difference   K    →  Δ°F
+     speed        m/s  →  mph
+     flux         W/m² →  Btu/h·ft²
+
+   The choice is kept in localStorage; a first
+   visit takes it from the browser's locale.
+   ============================================ */
+
+const STORAGE_KEY = 'idfkit-units';
+
+// Regions that still work in IP units
+const IP_REGIONS = ['US', 'LR', 'MM'];
+
+// Per quantity: unit label, conversion from SI and decimals shown
+export const UNIT_SYSTEMS = {
+  si: {
+    label: 'SI',
+    temperature: { unit: '°C', from: (c) => c, digits: 1 },
+    difference: { unit: 'K', from: (k) => k, digits: 1 },
+    speed: { unit: 'm/s', from: (v) => v, digits: 1 },
+    flux: { unit: 'W/m²', from: (q) => q, digits: 1 },
+  },
+  ip: {
+    label: 'IP',
+    temperature: { unit: '°F', from: (c) => c * 9 / 5 + 32, digits: 1 },
+    difference: { unit: 'Δ°F', from: (k) => k * 9 / 5, digits: 1 },
+    speed: { unit: 'mph', from: (v) => v / 0.44704, digits: 1 },
+    // 1 Btu/h·ft² = 3.15459 W/m²; fluxes are small, so one more place
+    flux: { unit: 'Btu/h·ft²', from: (q) => q / 3.15459, digits: 2 },
+  },
+};
+
+const listeners = new Set();
+
+// Storage can be missing or throw (private windows, sandboxed frames)
+function stored() {
+  try {
+    return window.localStorage.getItem(STORAGE_KEY);
+  } catch (e) {
+    return null;
+  }
+}
+
+function localeSystem() {
+  const locale = (navigator.languages && navigator.languages[0]) || navigator.language || '';
+  const region = locale.split(/[-_]/)[1];
+  return region && IP_REGIONS.includes(region.toUpperCase()) ? 'ip' : 'si';
+}
+
+export const units = {
+  system: 'si',
+
+  // 'si' or 'ip'; remembered for the next visit
+  set(system) {
+    if (!UNIT_SYSTEMS.hasOwnProperty(system)) throw new Error('Unknown unit system: ' + system);
+    units.system = system;
+    try {
+      window.localStorage.setItem(STORAGE_KEY, system);
+    } catch (e) {
+      // Keeps working for this page view
+    }
+    listeners.forEach((fn) => fn(system));
+  },
+
+  toggle() {
+    units.set(units.system === 'si' ? 'ip' : 'si');
+  },
+
+  // An SI value of `quantity` as text in the current system, with its
+  // unit; `signed` puts a + on positive values
+  format(quantity, value, { signed = false } = {}) {
+    const q = UNIT_SYSTEMS[units.system][quantity];
+    const v = q.from(value);
+    return (signed && v >= 0 ? '+' : '') + v.toFixed(q.digits) + ' ' + q.unit;
+  },
+
+  // Returns a function that removes the listener
+  onChange(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  },
+};
+
+const saved = stored();
+units.system = UNIT_SYSTEMS.hasOwnProperty(saved) ? saved : localeSystem();
@@ -0,0 +1,124 @@
+/* ============================================
+   idfkit Landing Page — Wind Field
+
+   The air the hero's particles ride on: a
+   uniform wind, deflected around the building
+   as potential flow past an ellipsoid fitted to
+   its bounds, plus curl-noise turbulence that
+   stirs the stream without bunching it up.
+   Particles that leave the domain come back in
+   upstream.
+
+   Speeds are in m/s; SCALE turns them into
+   scene units per second.
+   ============================================ */
+
+import { THREE } from './three.js';
+
+const SCALE = 0.12;         // scene units per second per m/s
+const MARGIN = 1.15;        // obstacle ellipsoid over the building's half extents
+const TURBULENCE = 0.2;     // eddy speed per m/s of wind
+const CALM = 0.3;           // m/s of eddies left when the wind drops
+const TURN = 0.6;           // per s; how fast the wind swings to a new heading
+
+// Two octaves of a sum-of-sines vector potential, as wave number,
+// amplitude and time rates
+const OCTAVES = [
+  { k: 0.45, amp: 1, rate: [0.21, 0.17, 0.23] },
+  { k: 1.1, amp: 0.45, rate: [0.37, 0.41, 0.29] },
+];
+
+// Heading the wind blows towards, in scene axes (+x east, +z south),
+// for a meteorological direction: degrees clockwise from north that
+// it blows from
+function headingFrom(deg, out) {
+  const r = deg * Math.PI / 180;
+  return out.set(-Math.sin(r), 0, Math.cos(r));
+}
+
+// Curl of the potential ψ = (sin(ky + a) cos kz, sin(kz + b) cos kx,
+// sin(kx + c) cos ky), added to `out`
+function addCurl(p, t, o, scale, out) {
+  const k = o.k, s = o.amp * k * scale;
+  const a = t * o.rate[0], b = t * o.rate[1] + 1.7, c = t * o.rate[2] + 3.1;
+  const x = k * p.x, y = k * p.y, z = k * p.z;
+  out.x += s * (-Math.sin(x + c) * Math.sin(y) - Math.cos(z + b) * Math.cos(x));
+  out.y += s * (-Math.sin(y + a) * Math.sin(z) - Math.cos(x + c) * Math.cos(y));
+  out.z += s * (-Math.sin(z + b) * Math.sin(x) - Math.cos(y + a) * Math.cos(z));
+}
+
+// `domain` is the sphere particles live in ({ center, radius }, scene
+// units); `random` picks the upstream respawn points
+export function createWindField({ domain, random = Math.random }) {
+  const heading = headingFrom(270, new THREE.Vector3());
+  const target = heading.clone();
+  const center = new THREE.Vector3();
+  const half = new THREE.Vector3(1, 1, 1);
+  const q = new THREE.Vector3();
+  const side = new THREE.Vector3();
+  const up = new THREE.Vector3();
+
+  const field = {
+    speed: 4,  // m/s
+
+    // Wind speed and the direction it blows from; the heading swings
+    // round over a second or two rather than snapping
+    setWind(speed, fromDeg) {
+      field.speed = Math.max(0, speed);
+      headingFrom(fromDeg, target);
+    },
+
+    // The obstacle: bounds as { min, max } arrays, as buildingBounds()
+    setObstacle({ min, max }) {
+      center.set((min[0] + max[0]) / 2, (min[1] + max[1]) / 2, (min[2] + max[2]) / 2);
+      half.set(max[0] - min[0], max[1] - min[1], max[2] - min[2]).multiplyScalar(MARGIN / 2);
+    },
+
+    // Ease the heading towards the last setWind() over dt seconds
+    step(dt) {
+      heading.lerp(target, Math.min(1, dt * TURN)).normalize();
+      if (!isFinite(heading.x)) heading.copy(target);
+    },
+
+    // Air velocity at p, in scene units per second
+    velocity(p, t, out) {
+      const u = field.speed * SCALE;
+      // Ellipsoid stretched to a unit sphere: uniform flow plus a
+      // doublet, U + (U − 3(U·r̂)r̂) / 2r³; inside, straight out
+      q.subVectors(p, center).divide(half);
+      const r = q.length();
+      if (r < 1) {
+        out.copy(q).normalize().multiplyScalar(Math.max(u, CALM * SCALE));
+      } else {
+        q.divideScalar(r);
+        const d = 1 / (2 * r * r * r);
+        const along = heading.dot(q);
+        out.copy(heading).multiplyScalar(u * (1 + d)).addScaledVector(q, -3 * u * d * along);
+      }
+      const eddies = (field.speed * TURBULENCE + CALM) * SCALE;
+      OCTAVES.forEach((o) => addCurl(p, t, o, eddies, out));
+      return out;
+    },
+
+    outside(p) {
+      return p.distanceToSquared(domain.center) > domain.radius * domain.radius;
+    },
+
+    // A point on the upstream face of the domain, spread evenly over
+    // the wind's cross-section
+    upstream(out) {
+      side.set(-heading.z, 0, heading.x);
+      if (side.lengthSq() < 1e-6) side.set(1, 0, 0);
+      side.normalize();
+      up.crossVectors(side, heading).normalize();
+      const rho = Math.sqrt(random()) * domain.radius * 0.95;
+      const a = random() * Math.PI * 2;
+      const back = Math.sqrt(domain.radius * domain.radius - rho * rho) * 0.98;
+      return out.copy(domain.center).addScaledVector(heading, -back)
+        .addScaledVector(side, rho * Math.cos(a))
+        .addScaledVector(up, rho * Math.sin(a));
+    },
+  };
+
+  return field;
+}